@@ -9,8 +9,45 @@
 import elasticsearchClient from '../src/config/elasticsearch.js';
 import { logger } from '../src/middleware/logging.js';
 import config from '../src/config/index.js';
+import fs from 'fs';
+import { parseSynonymsFile } from '../src/utils/synonyms.js';
+import { withDiscount } from '../src/utils/discount.js';
+import { createEmbedder, withEmbedding } from '../src/utils/embeddings.js';
 
 const INDEX_NAME = config.elasticsearch.index;
+const SYNONYMS_SET = config.synonyms.setId;
+const ANALYTICS_INDEX = config.analytics.index;
+const EVENTS_INDEX = config.analytics.eventsIndex;
+
+// Search log written by AnalyticsService; kept across re-initializations
+const analyticsMappings = {
+  mappings: {
+    properties: {
+      timestamp: { type: 'date' },
+      searchId: { type: 'keyword' },
+      query: { type: 'keyword' }, // Normalized query, aggregated as a whole
+      filters: { type: 'object', enabled: false }, // Stored for inspection, not searched
+      resultCount: { type: 'integer' },
+      latencyMs: { type: 'integer' },
+      backend: { type: 'keyword' },
+      fallback: { type: 'boolean' },
+      relaxed: { type: 'boolean' } // Retried with looser constraints after finding nothing
+    }
+  }
+};
+
+// Clicks and conversions on search results, written by AnalyticsService
+const eventsMappings = {
+  mappings: {
+    properties: {
+      timestamp: { type: 'date' },
+      type: { type: 'keyword' },
+      searchId: { type: 'keyword' },
+      asin: { type: 'keyword' },
+      position: { type: 'integer' }
+    }
+  }
+};
 
 // Define index mappings for product structure
 const indexMappings = {
@@ -22,9 +59,19 @@ const indexMappings = {
       title: { 
         type: 'text',
         fields: {
-          keyword: { type: 'keyword' } // For exact matching
+          keyword: { type: 'keyword' }, // For exact matching
+          autocomplete: { // Word prefixes for typeahead
+            type: 'text',
+            analyzer: 'autocomplete_index',
+            search_analyzer: 'autocomplete_search'
+          },
+          shingle: { // Word n-grams for "did you mean" phrase suggestions
+            type: 'text',
+            analyzer: 'shingle_analyzer'
+          }
         },
-        analyzer: 'standard'
+        analyzer: 'standard',
+        search_analyzer: 'title_search' // Expands synonyms at query time
       },
       imgUrl: { 
         type: 'keyword',
@@ -46,6 +93,15 @@ const indexMappings = {
       listPrice: { 
         type: 'float' 
       },
+      discountAmount: { // Derived at ingest, see src/utils/discount.js
+        type: 'float'
+      },
+      discountPercent: {
+        type: 'float'
+      },
+      onSale: {
+        type: 'boolean'
+      },
       category_id: { 
         type: 'integer' 
       },
@@ -64,16 +120,66 @@ const indexMappings = {
     number_of_shards: 1,
     number_of_replicas: 0, // For local development
     analysis: {
+      filter: {
+        autocomplete_filter: {
+          type: 'edge_ngram',
+          min_gram: 1,
+          max_gram: 20
+        },
+        shingle_filter: {
+          type: 'shingle',
+          min_shingle_size: 2,
+          max_shingle_size: 3
+        },
+        product_synonyms: {
+          type: 'synonym_graph',
+          synonyms_set: SYNONYMS_SET,
+          updateable: true // Reloaded when the synonyms set changes, no reindex needed
+        }
+      },
       analyzer: {
         custom_analyzer: {
           type: 'standard',
           stopwords: '_english_'
+        },
+        autocomplete_index: {
+          type: 'custom',
+          tokenizer: 'standard',
+          filter: ['lowercase', 'autocomplete_filter']
+        },
+        autocomplete_search: {
+          type: 'custom',
+          tokenizer: 'standard',
+          filter: ['lowercase']
+        },
+        shingle_analyzer: {
+          type: 'custom',
+          tokenizer: 'standard',
+          filter: ['lowercase', 'shingle_filter']
+        },
+        title_search: {
+          type: 'custom',
+          tokenizer: 'standard',
+          filter: ['lowercase', 'product_synonyms']
         }
       }
     }
   }
 };
 
+// Hybrid search (VECTOR_SEARCH_ENABLED) stores a title embedding per product
+if (config.vector.enabled) {
+  indexMappings.mappings.properties.embedding = {
+    type: 'dense_vector',
+    dims: config.vector.dims,
+    index: true, // Build the HNSW graph kNN searches use
+    similarity: 'cosine'
+  };
+
+  // Vectors are only searched, never returned, so they are kept out of the stored source
+  indexMappings.mappings._source = { excludes: ['embedding'] };
+}
+
 // Sample products matching CSV structure
 const sampleProducts = [
   {
@@ -160,6 +266,17 @@ async function initializeElasticsearch() {
       });
     }
 
+    // The synonyms set must exist before an analyzer can reference it
+    logger.info(`Loading synonyms set: ${SYNONYMS_SET}`);
+    const synonyms = fs.existsSync(config.synonyms.file)
+      ? parseSynonymsFile(fs.readFileSync(config.synonyms.file, 'utf8'))
+      : [];
+
+    await elasticsearchClient.synonyms.putSynonym({
+      id: SYNONYMS_SET,
+      synonyms_set: synonyms.map((rule, i) => ({ id: `rule-${i + 1}`, synonyms: rule }))
+    });
+
     // Create index with mappings
     logger.info(`Creating index: ${INDEX_NAME}`);
     await elasticsearchClient.indices.create({
@@ -167,11 +284,29 @@ async function initializeElasticsearch() {
       body: indexMappings
     });
 
-    // Index sample products
+    // Analytics indices only need creating once; their history is kept
+    for (const [index, mappings] of [[ANALYTICS_INDEX, analyticsMappings], [EVENTS_INDEX, eventsMappings]]) {
+      if (!(await elasticsearchClient.indices.exists({ index }))) {
+        logger.info(`Creating analytics index: ${index}`);
+        await elasticsearchClient.indices.create({
+          index,
+          body: mappings
+        });
+      }
+    }
+
+    // Index sample products, embedding their titles when vector search is enabled
     logger.info('Indexing sample products');
-    const operations = sampleProducts.flatMap(product => [
-      { index: { _index: INDEX_NAME, _id: product.asin } },
-      { ...product, indexedAt: new Date() }
+    const embedder = config.vector.enabled
+      ? createEmbedder(config.vector.embedder, { dims: config.vector.dims })
+      : null;
+    const documents = await Promise.all(sampleProducts.map(product => {
+      const document = { ...withDiscount(product), indexedAt: new Date() };
+      return embedder ? withEmbedding(document, embedder) : document;
+    }));
+    const operations = documents.flatMap(document => [
+      { index: { _index: INDEX_NAME, _id: document.asin } },
+      document
     ]);
 
     const bulkResponse = await elasticsearchClient.bulk({
@@ -20,20 +20,35 @@ import express from 'express';
 import swaggerUi from 'swagger-ui-express';
 import swaggerSpec from './swagger.js';
 import { requestLogger, errorLogger, logger } from './middleware/logging.js';
+import { requireAdmin } from './middleware/admin-auth.js';
 
 // Import services
 import ProductService from './services/product-service.js';
 import CategoryService from './services/category-service.js';
+import SynonymService from './services/synonym-service.js';
+import RuleService from './services/rule-service.js';
+import RedirectService from './services/redirect-service.js';
+import AnalyticsService from './services/analytics-service.js';
 
 // Import controllers
 import ProductController from './controllers/product-controller.js';
 import CategoryController from './controllers/category-controller.js';
 import HealthController from './controllers/health-controller.js';
+import SynonymController from './controllers/synonym-controller.js';
+import RuleController from './controllers/rule-controller.js';
+import RedirectController from './controllers/redirect-controller.js';
+import AnalyticsController from './controllers/analytics-controller.js';
+import EventController from './controllers/event-controller.js';
 
 // Import routers
 import ProductRouter from './routes/product-routes.js';
 import CategoryRouter from './routes/category-routes.js';
 import HealthRouter from './routes/health-routes.js';
+import SynonymRouter from './routes/synonym-routes.js';
+import RuleRouter from './routes/rule-routes.js';
+import RedirectRouter from './routes/redirect-routes.js';
+import AnalyticsRouter from './routes/analytics-routes.js';
+import EventRouter from './routes/event-routes.js';
 
 class Application {
   constructor() {
@@ -48,18 +63,38 @@ class Application {
     this.logger.debug('Initializing dependencies');
 
     // Initialize services
-    this.productService = new ProductService(this.logger);
     this.categoryService = new CategoryService(this.logger);
+    this.synonymService = new SynonymService(this.logger);
+    this.ruleService = new RuleService(this.logger);
+    this.redirectService = new RedirectService(this.logger);
+    this.analyticsService = new AnalyticsService(this.logger);
+    this.productService = new ProductService(
+      this.logger,
+      this.categoryService,
+      this.synonymService,
+      this.ruleService,
+      this.analyticsService
+    );
 
     // Initialize controllers
-    this.productController = new ProductController(this.productService, this.logger);
+    this.productController = new ProductController(this.productService, this.logger, this.redirectService);
     this.categoryController = new CategoryController(this.categoryService, this.logger);
     this.healthController = new HealthController(this.logger);
+    this.synonymController = new SynonymController(this.synonymService, this.logger);
+    this.ruleController = new RuleController(this.ruleService, this.logger);
+    this.redirectController = new RedirectController(this.redirectService, this.logger);
+    this.analyticsController = new AnalyticsController(this.analyticsService, this.logger);
+    this.eventController = new EventController(this.analyticsService, this.logger);
 
     // Initialize routers
     this.productRouter = new ProductRouter(this.productController);
-    this.categoryRouter = new CategoryRouter(this.categoryController);
+    this.categoryRouter = new CategoryRouter(this.categoryController, this.productController);
     this.healthRouter = new HealthRouter(this.healthController);
+    this.synonymRouter = new SynonymRouter(this.synonymController);
+    this.ruleRouter = new RuleRouter(this.ruleController);
+    this.redirectRouter = new RedirectRouter(this.redirectController);
+    this.analyticsRouter = new AnalyticsRouter(this.analyticsController);
+    this.eventRouter = new EventRouter(this.eventController);
 
     this.logger.info('Dependencies initialized successfully');
   }
@@ -95,8 +130,15 @@ class Application {
     // Health check route
     this.app.use('/health', this.healthRouter.getRouter());
 
+    // Admin routes
+    this.app.use('/api/admin/synonyms', requireAdmin, this.synonymRouter.getRouter());
+    this.app.use('/api/admin/rules', requireAdmin, this.ruleRouter.getRouter());
+    this.app.use('/api/admin/redirects', requireAdmin, this.redirectRouter.getRouter());
+    this.app.use('/api/admin/analytics', requireAdmin, this.analyticsRouter.getRouter());
+
     // API routes
     this.app.use('/api/categories', this.categoryRouter.getRouter());
+    this.app.use('/api/events', this.eventRouter.getRouter());
     this.app.use('/api/products', this.productRouter.getRouter());
     this.app.use('/api', this.productRouter.getRouter());
 
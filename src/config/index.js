@@ -16,6 +16,16 @@
  * limitations under the License.
  */
 
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseMatchMode } from '../utils/match-modes.js';
+import { parseWindow } from '../utils/analytics.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Directory for runtime-managed data files (synonyms, rules, ...)
+const dataDir = path.resolve(__dirname, '../../data');
+
 /**
  * Application configuration loaded from environment variables
  */
@@ -60,6 +70,174 @@ const config = {
     maxRetries: parseInt(process.env.ELASTICSEARCH_MAX_RETRIES, 10) || 3,
     requestTimeout: parseInt(process.env.ELASTICSEARCH_REQUEST_TIMEOUT, 10) || 30000,
   },
+
+  // Admin API configuration
+  admin: {
+    // Shared secret expected in the X-Admin-Key header of /api/admin requests
+    apiKey: process.env.ADMIN_API_KEY,
+  },
+
+  // Synonym configuration
+  synonyms: {
+    // Solr-format synonyms file, the source of truth for the ES synonyms set
+    file: process.env.SYNONYMS_FILE || path.join(dataDir, 'synonyms.txt'),
+    setId: process.env.ELASTICSEARCH_SYNONYMS_SET || 'product-synonyms',
+  },
+
+  // Merchandising rules configuration
+  rules: {
+    // JSON file holding the pin / boost / bury rules managed through /api/admin/rules
+    file: process.env.MERCHANDISING_RULES_FILE || path.join(dataDir, 'rules.json'),
+  },
+
+  // Query redirect and rewrite configuration
+  redirects: {
+    // JSON file holding the rules managed through /api/admin/redirects
+    file: process.env.QUERY_REDIRECTS_FILE || path.join(dataDir, 'redirects.json'),
+  },
+
+  // Search analytics configuration
+  analytics: {
+    // Elasticsearch index every search is logged to
+    index: process.env.ANALYTICS_INDEX || 'search-analytics',
+
+    // JSON lines file searches are logged to while Elasticsearch is unavailable
+    file: process.env.ANALYTICS_FILE || path.join(dataDir, 'analytics.jsonl'),
+
+    // Index and fallback file for click, add-to-cart and purchase events on search results
+    eventsIndex: process.env.ANALYTICS_EVENTS_INDEX || 'search-events',
+    eventsFile: process.env.ANALYTICS_EVENTS_FILE || path.join(dataDir, 'events.jsonl'),
+
+    // Searches taking at least this long are reported as slow
+    slowQueryMs: parseInt(process.env.ANALYTICS_SLOW_QUERY_MS, 10) || 500,
+
+    // Report window and size used when a report request omits them
+    defaultWindow: process.env.ANALYTICS_DEFAULT_WINDOW || '24h',
+    defaultLimit: 10,
+    maxLimit: 100,
+
+    // Searches and events read per store by the engagement report
+    maxReportDocuments: 10000,
+  },
+
+  // Search configuration
+  search: {
+    // Page size used when the request does not specify a limit
+    defaultLimit: parseInt(process.env.SEARCH_DEFAULT_LIMIT, 10) || 10,
+
+    // Largest page size a single request may ask for
+    maxLimit: parseInt(process.env.SEARCH_MAX_LIMIT, 10) || 100,
+
+    // Deepest reachable result (from + size), mirrors index.max_result_window
+    maxResultWindow: parseInt(process.env.SEARCH_MAX_RESULT_WINDOW, 10) || 10000,
+
+    // How long a deep pagination cursor (and its point in time) stays valid between pages
+    cursorTtlMs: parseInt(process.env.SEARCH_CURSOR_TTL_MS, 10) || 300000,
+
+    // Upper bounds of the price facet buckets, e.g. "25,50,100,200"
+    priceFacetBoundaries: (process.env.SEARCH_PRICE_FACET_RANGES || '25,50,100,200')
+      .split(',')
+      .map(Number),
+
+    // Maximum number of category buckets returned in facets
+    categoryFacetSize: parseInt(process.env.SEARCH_CATEGORY_FACET_SIZE, 10) || 50,
+
+    // Searches with at most this many hits get a "did you mean" suggestion
+    spellcheckMaxHits: parseInt(process.env.SEARCH_SPELLCHECK_MAX_HITS ?? '2', 10),
+
+    // Match mode used when the request has no `mode`: any, all, phrase or a percentage like "75%"
+    defaultMatchMode: process.env.SEARCH_DEFAULT_MATCH_MODE || 'any',
+
+    // Most searches a single POST /api/search/batch request may run
+    maxBatchSize: parseInt(process.env.SEARCH_MAX_BATCH_SIZE, 10) || 10,
+  },
+
+  // Relevance ranking configuration
+  ranking: {
+    // Profile applied when the request has no `profile`
+    defaultProfile: process.env.SEARCH_DEFAULT_PROFILE || 'balanced',
+
+    // Named function_score setups combined with the text relevance score.
+    // `functions`, `score_mode` and `boost_mode` are passed to Elasticsearch as written;
+    // a profile without functions ranks by text relevance alone.
+    profiles: {
+      text: {
+        functions: [],
+      },
+      balanced: {
+        functions: [
+          { weight: 1 }, // Baseline so products without signals keep their text score
+          { field_value_factor: { field: 'boughtInLastMonth', modifier: 'log1p', missing: 0 } },
+          { filter: { term: { isBestSeller: true } }, weight: 1 },
+          { field_value_factor: { field: 'stars', factor: 0.2, missing: 0 } },
+        ],
+        score_mode: 'sum',
+        boost_mode: 'multiply',
+      },
+      popular: {
+        functions: [
+          { weight: 1 },
+          { field_value_factor: { field: 'boughtInLastMonth', factor: 2, modifier: 'log1p', missing: 0 } },
+          { field_value_factor: { field: 'reviews', modifier: 'log1p', missing: 0 } },
+          { filter: { term: { isBestSeller: true } }, weight: 2 },
+        ],
+        score_mode: 'sum',
+        boost_mode: 'multiply',
+      },
+      fresh: {
+        functions: [
+          { weight: 1 },
+          { gauss: { indexedAt: { origin: 'now', offset: '7d', scale: '30d', decay: 0.5 } }, weight: 2 },
+          { field_value_factor: { field: 'stars', factor: 0.2, missing: 0 } },
+        ],
+        score_mode: 'sum',
+        boost_mode: 'multiply',
+      },
+    },
+  },
+
+  // "More like this" configuration
+  similar: {
+    defaultLimit: parseInt(process.env.SIMILAR_DEFAULT_LIMIT, 10) || 6,
+    maxLimit: parseInt(process.env.SIMILAR_MAX_LIMIT, 10) || 24,
+
+    // Similar products cost within this fraction of the source price, e.g. 0.5 = +/-50%
+    priceBand: parseFloat(process.env.SIMILAR_PRICE_BAND) || 0.5,
+  },
+
+  // Vector search configuration
+  vector: {
+    // Adds an embedding dense_vector to the product mapping and enables mode=hybrid searches
+    enabled: process.env.VECTOR_SEARCH_ENABLED === 'true',
+
+    // Embedder computing product and query vectors, see src/utils/embeddings.js
+    embedder: process.env.VECTOR_EMBEDDER || 'hash',
+    dims: parseInt(process.env.VECTOR_DIMS, 10) || 256,
+
+    // Depth of the lexical and nearest-neighbour rankings fused by a hybrid search (the kNN k)
+    rankWindowSize: parseInt(process.env.VECTOR_RANK_WINDOW_SIZE, 10) || 100,
+
+    // Candidates per shard the approximate kNN search considers; at least rankWindowSize
+    numCandidates: parseInt(process.env.VECTOR_NUM_CANDIDATES, 10) || 200,
+
+    // Reciprocal rank fusion constant: a result at rank r scores 1 / (rankConstant + r)
+    rankConstant: parseInt(process.env.VECTOR_RRF_RANK_CONSTANT, 10) || 60,
+  },
+
+  // Bulk export configuration
+  export: {
+    // Products fetched from Elasticsearch per batch while streaming an export
+    batchSize: parseInt(process.env.EXPORT_BATCH_SIZE, 10) || 500,
+  },
+
+  // Typeahead configuration
+  suggest: {
+    defaultLimit: parseInt(process.env.SUGGEST_DEFAULT_LIMIT, 10) || 5,
+    maxLimit: parseInt(process.env.SUGGEST_MAX_LIMIT, 10) || 20,
+
+    // Latency budget for Elasticsearch before the in-memory trie answers instead
+    timeoutMs: parseInt(process.env.SUGGEST_TIMEOUT_MS, 10) || 150,
+  },
 };
 
 /**
@@ -77,6 +255,36 @@ const validateConfig = () => {
     console.warn(`Invalid PORT "${config.server.port}". Defaulting to 3000.`);
     config.server.port = 3000;
   }
+
+  if (config.search.defaultLimit > config.search.maxLimit) {
+    console.warn(`SEARCH_DEFAULT_LIMIT exceeds SEARCH_MAX_LIMIT. Defaulting to ${config.search.maxLimit}.`);
+    config.search.defaultLimit = config.search.maxLimit;
+  }
+
+  const boundaries = config.search.priceFacetBoundaries;
+  if (boundaries.some((value, i) => !Number.isFinite(value) || value <= (boundaries[i - 1] ?? -Infinity))) {
+    console.warn(`Invalid SEARCH_PRICE_FACET_RANGES "${boundaries}". Defaulting to "25,50,100,200".`);
+    config.search.priceFacetBoundaries = [25, 50, 100, 200];
+  }
+
+  if (!Object.hasOwn(config.ranking.profiles, config.ranking.defaultProfile)) {
+    console.warn(`Unknown SEARCH_DEFAULT_PROFILE "${config.ranking.defaultProfile}". Defaulting to "balanced".`);
+    config.ranking.defaultProfile = 'balanced';
+  }
+
+  // hybrid cannot be sorted, walked with a cursor or exported, so it is only used when asked for
+  const matchMode = parseMatchMode(config.search.defaultMatchMode);
+  if (!matchMode || matchMode === 'hybrid') {
+    console.warn(`Invalid SEARCH_DEFAULT_MATCH_MODE "${config.search.defaultMatchMode}". Defaulting to "any".`);
+    config.search.defaultMatchMode = 'any';
+  } else {
+    config.search.defaultMatchMode = matchMode;
+  }
+
+  if (!parseWindow(config.analytics.defaultWindow)) {
+    console.warn(`Invalid ANALYTICS_DEFAULT_WINDOW "${config.analytics.defaultWindow}". Defaulting to "24h".`);
+    config.analytics.defaultWindow = '24h';
+  }
 };
 
 // Validate on load
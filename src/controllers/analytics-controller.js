@@ -0,0 +1,84 @@
+/**
+ * Analytics Controller
+ * Handles HTTP requests for search analytics reports
+ *
+ * Copyright 2025
+ * Licensed under the Apache License, Version 2.0
+ */
+
+import config from '../config/index.js';
+import { parseWindow } from '../utils/analytics.js';
+
+class AnalyticsController {
+  constructor(analyticsService, logger) {
+    this.analyticsService = analyticsService;
+    this.logger = logger;
+  }
+
+  /**
+   * Most searched queries
+   */
+  async topQueries(req, res) {
+    await this._respond(req, res, 'topQueries', options => this.analyticsService.getTopQueries(options));
+  }
+
+  /**
+   * Queries that returned no results
+   */
+  async zeroResults(req, res) {
+    await this._respond(req, res, 'zeroResults', options => this.analyticsService.getZeroResultQueries(options));
+  }
+
+  /**
+   * Queries at or above the slow query threshold
+   */
+  async slowQueries(req, res) {
+    await this._respond(req, res, 'slowQueries', async options => ({
+      ...(await this.analyticsService.getSlowQueries(options)),
+      thresholdMs: config.analytics.slowQueryMs,
+    }));
+  }
+
+  /**
+   * Click-through rate and mean reciprocal rank per query
+   */
+  async engagement(req, res) {
+    await this._respond(req, res, 'engagement', options => this.analyticsService.getEngagement(options));
+  }
+
+  /**
+   * Validate the report window and limit, then send the report
+   */
+  async _respond(req, res, name, getReport) {
+    const { window = config.analytics.defaultWindow, limit } = req.query;
+
+    const windowMs = parseWindow(window);
+
+    if (!windowMs) {
+      return res.status(400).json({
+        error: 'Invalid window parameter',
+        message: 'window must be a number of minutes, hours or days, e.g. 30m, 24h or 7d',
+      });
+    }
+
+    const parsedLimit = limit === undefined ? config.analytics.defaultLimit : Number(limit);
+
+    if (!Number.isInteger(parsedLimit) || parsedLimit < 1 || parsedLimit > config.analytics.maxLimit) {
+      return res.status(400).json({
+        error: 'Invalid limit parameter',
+        message: `limit must be an integer between 1 and ${config.analytics.maxLimit}`,
+      });
+    }
+
+    try {
+      const report = await getReport({ windowMs, limit: parsedLimit });
+
+      res.status(200).json({ window, ...report });
+    } catch (error) {
+      this.logger.logError(error, { context: `AnalyticsController.${name}` });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+}
+
+export default AnalyticsController;
@@ -0,0 +1,49 @@
+/**
+ * Event Controller
+ * Handles HTTP requests for click and conversion tracking on search results
+ *
+ * Copyright 2025
+ * Licensed under the Apache License, Version 2.0
+ */
+
+import Joi from 'joi';
+import { EVENT_TYPES } from '../utils/analytics.js';
+
+const eventSchema = Joi.object({
+  type: Joi.string().valid(...EVENT_TYPES).required(),
+  searchId: Joi.string().guid().required(),
+  asin: Joi.string().trim().pattern(/^[A-Z0-9]{10}$/i).required(),
+  position: Joi.number().integer().min(1).required(),
+});
+
+class EventController {
+  constructor(analyticsService, logger) {
+    this.analyticsService = analyticsService;
+    this.logger = logger;
+  }
+
+  /**
+   * Record a click, add-to-cart or purchase on a search result
+   */
+  async create(req, res) {
+    const { error, value } = eventSchema.validate(req.body ?? {});
+
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid request body',
+        message: error.message,
+      });
+    }
+
+    try {
+      const event = await this.analyticsService.recordEvent(value);
+
+      res.status(202).json(event);
+    } catch (error) {
+      this.logger.logError(error, { context: 'EventController.create' });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+}
+
+export default EventController;
@@ -6,10 +6,106 @@
  * Licensed under the Apache License, Version 2.0
  */
 
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import Joi from 'joi';
+import config from '../config/index.js';
+import { BadRequestError } from '../utils/errors.js';
+import { SORT_MODES, DEFAULT_SORT_MODE } from '../utils/sort.js';
+import { MATCH_MODES, parseMatchMode } from '../utils/match-modes.js';
+import { PRODUCT_FIELDS, parseFields, projectProduct } from '../utils/fields.js';
+import { EXPORT_FORMATS } from '../utils/export.js';
+import { isAdminRequest } from '../middleware/admin-auth.js';
+
+// Filter parameters of /api/search, passed to the service as given
+const SEARCH_FILTERS = [
+  'category_id', 'excludeCategory', 'asin', 'excludeAsin',
+  'minPrice', 'maxPrice', 'minStars', 'isBestSeller', 'minDiscount', 'onSale',
+];
+
+const pickSearchFilters = params =>
+  Object.fromEntries(SEARCH_FILTERS.map(name => [name, params[name]]));
+
+// Search text of GET /api/search; a repeated ?query= arrives as an array
+const searchQuerySchema = Joi.string().required();
+
+// Flags are "true" in query strings and true in JSON bodies
+const isTrue = value => value === true || value === 'true';
+
+// Filters given in a JSON body are JSON values rather than query strings
+const jsonFilterValue = Joi.alternatives(
+  Joi.string(),
+  Joi.number(),
+  Joi.boolean(),
+  Joi.array().items(Joi.string(), Joi.number())
+);
+
+const jsonFiltersSchema = Joi.object(Object.fromEntries(SEARCH_FILTERS.map(name => [name, jsonFilterValue])))
+  .default({});
+
+// The parameters of GET /api/search as a JSON body, plus a filter expression
+// (utils/filter-expression.js, validated when it is compiled)
+const searchBodySchema = Joi.object({
+  query: Joi.string().allow('').default(''),
+  filters: jsonFiltersSchema,
+  filter: Joi.object(),
+  sort: Joi.string(),
+  mode: Joi.string(),
+  profile: Joi.string(),
+  fields: Joi.string(),
+  page: Joi.number(),
+  limit: Joi.number(),
+  cursor: Joi.string(),
+  autoCorrect: Joi.boolean(),
+  relax: Joi.boolean(),
+  highlight: Joi.boolean(),
+  preTag: Joi.string(),
+  postTag: Joi.string(),
+  debug: Joi.boolean(),
+  queryProfile: Joi.boolean(),
+});
+
+const batchSchema = Joi.object({
+  searches: Joi.array().items(Joi.object()).min(1).max(config.search.maxBatchSize).required(),
+});
+
+// One search of a batch, validated on its own so it cannot fail the others
+const batchSearchSchema = Joi.object({
+  query: Joi.string().allow('').default(''),
+  filters: jsonFiltersSchema,
+  filter: Joi.object(),
+  sort: Joi.string(),
+  mode: Joi.string(),
+  profile: Joi.string(),
+  fields: Joi.string(),
+  page: Joi.number(),
+  limit: Joi.number(),
+  facets: Joi.boolean().default(true),
+});
+
+/**
+ * The products of an export, whose first product was already pulled
+ */
+async function* resumeExport(first, products) {
+  if (!first.done) {
+    yield first.value;
+    yield* products;
+  }
+}
+
+// Longer prefixes are not typeahead input
+const MAX_SUGGEST_PREFIX_LENGTH = 100;
+
+// Highlight tags used unless the request supplies its own
+const DEFAULT_PRE_TAG = '<em>';
+const DEFAULT_POST_TAG = '</em>';
+const MAX_HIGHLIGHT_TAG_LENGTH = 64;
+
 class ProductController {
-  constructor(productService, logger) {
+  constructor(productService, logger, redirectService = null) {
     this.productService = productService;
     this.logger = logger;
+    this.redirectService = redirectService;
   }
 
   /**
@@ -78,10 +174,8 @@ class ProductController {
    * Search products
    */
   async search(req, res) {
-    const { query, category_id, minPrice, maxPrice, minStars, isBestSeller, page = 1, limit = 10 } = req.query;
-
     // Validate required query parameter
-    if (!query) {
+    if (!req.query.query) {
       this.logger.warn('Search attempted without query parameter');
       return res.status(400).json({
         error: 'Query parameter is required',
@@ -89,41 +183,168 @@ class ProductController {
       });
     }
 
-    try {
-      // Get filtered results from service (now async with Elasticsearch)
-      const allResults = await this.productService.searchProducts(query, {
-        category_id,
-        minPrice,
-        maxPrice,
-        minStars,
-        isBestSeller,
+    if (searchQuerySchema.validate(req.query.query).error) {
+      this.logger.warn('Search attempted with an invalid query parameter', { query: req.query.query });
+      return res.status(400).json({
+        error: 'Invalid query parameter',
+        message: 'query must be a single value, e.g. ?query=luggage',
+      });
+    }
+
+    return this._search(req, res, req.query, pickSearchFilters(req.query));
+  }
+
+  /**
+   * Search products with a JSON body, which may also carry a nested filter expression
+   */
+  async searchByBody(req, res) {
+    const { error, value } = searchBodySchema.validate(req.body ?? {});
+
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid request body',
+        message: error.message,
+      });
+    }
+
+    const { filters, filter, ...params } = value;
+
+    return this._search(req, res, params, { ...pickSearchFilters(filters), filter });
+  }
+
+  /**
+   * Run a search given its parameters and filters, for GET and POST /api/search alike
+   */
+  async _search(req, res, params, requestFilters) {
+    const { query, page, limit, cursor, autoCorrect, relax, highlight, preTag, postTag } = params;
+
+    // Debug output exposes ranking internals, so it is for admins only; queryProfile implies debug
+    const debug = isTrue(params.debug) || isTrue(params.queryProfile);
+
+    if (debug && !isAdminRequest(req)) {
+      this.logger.warn('Search debugging rejected', { query, ip: req.ip });
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'debug and queryProfile require a valid X-Admin-Key header',
+      });
+    }
+
+    // Redirect and rewrite rules are consulted before anything is searched
+    const redirectRule = this.redirectService?.findRule(query);
+
+    if (redirectRule?.redirect) {
+      return res.json({ query, redirect: { url: redirectRule.redirect, ruleId: redirectRule.id } });
+    }
+
+    const searchQuery = redirectRule?.rewrite?.query ?? query;
+    const filters = { ...requestFilters, ...redirectRule?.rewrite?.filters };
+
+    const pagination = this._parsePagination(page, limit, cursor);
+
+    if (pagination.error) {
+      this.logger.warn('Search attempted with invalid pagination', { page, limit });
+      return res.status(400).json({
+        error: 'Invalid pagination parameters',
+        message: pagination.error,
+      });
+    }
+
+    const searchOptions = this._parseSearchOptions(params);
+
+    if (searchOptions.error) {
+      return res.status(400).json(searchOptions);
+    }
+
+    const { sort, mode, profile, fields } = searchOptions;
+    const highlightOptions = this._parseHighlight(highlight, preTag, postTag);
+
+    if (highlightOptions?.error) {
+      this.logger.warn('Search attempted with invalid highlight tags', { preTag, postTag });
+      return res.status(400).json({
+        error: 'Invalid highlight parameters',
+        message: highlightOptions.error,
       });
+    }
 
-      // Apply pagination
-      const startIndex = (page - 1) * limit;
-      const endIndex = startIndex + parseInt(limit);
-      const paginatedResults = allResults.slice(startIndex, endIndex);
+    try {
+      // Get one page of filtered results from service (now async with Elasticsearch)
+      const searchResult = await this.productService.searchProducts(searchQuery, filters, {
+        ...pagination,
+        sort,
+        mode,
+        profile,
+        autoCorrect: isTrue(autoCorrect),
+        relax: isTrue(relax),
+        highlight: highlightOptions,
+        fields,
+        debug,
+        queryProfile: isTrue(params.queryProfile),
+      });
+      const { results, total } = searchResult;
 
       // Prepare response
       const response = {
+        searchId: searchResult.searchId,
         query,
-        filters: { category_id, minPrice, maxPrice, minStars, isBestSeller },
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total: allResults.length,
-          pages: Math.ceil(allResults.length / limit),
-        },
-        results: paginatedResults,
+        filters,
+        sort,
+        mode,
+        profile,
+        pagination: cursor
+          ? { limit: pagination.limit, total }
+          : {
+            page: pagination.page,
+            limit: pagination.limit,
+            total,
+            pages: Math.ceil(total / pagination.limit),
+          },
+        results,
+        facets: searchResult.facets,
+        appliedRules: searchResult.appliedRules,
       };
 
+      if (cursor) {
+        response.cursor = searchResult.cursor;
+      }
+
+      if (redirectRule) {
+        response.rewrite = { query: searchQuery, filters: redirectRule.rewrite.filters ?? {}, ruleId: redirectRule.id };
+      }
+
+      if (searchResult.suggestion !== undefined) {
+        response.suggestion = searchResult.suggestion;
+      }
+
+      if (searchResult.relaxed !== undefined) {
+        response.relaxed = searchResult.relaxed;
+      }
+
+      if (searchResult.autoCorrected) {
+        response.autoCorrected = true;
+        response.correctedQuery = searchResult.correctedQuery;
+      }
+
+      if (searchResult.totalCapped) {
+        response.totalCapped = true;
+      }
+
+      if (debug) {
+        response.debug = searchResult.debug;
+      }
+
       this.logger.info('Search completed successfully', {
         query,
-        resultCount: allResults.length,
+        resultCount: results.length,
+        total,
       });
 
       res.json(response);
     } catch (error) {
+      if (error instanceof BadRequestError) {
+        this.logger.warn('Search rejected', { query, error: error.message });
+        return res.status(error.status).json({ error: error.message, ...error.details });
+      }
+
       this.logger.error('Search operation failed', { error: error.message });
       res.status(500).json({
         error: 'Internal server error',
@@ -132,6 +353,412 @@ class ProductController {
     }
   }
 
+  /**
+   * Run several searches in one request, answering each with its own status
+   */
+  async batch(req, res) {
+    const { error, value } = batchSchema.validate(req.body ?? {});
+
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid request body',
+        message: error.message,
+      });
+    }
+
+    const searches = value.searches.map(search => this._parseBatchSearch(search));
+
+    try {
+      const settled = await this.productService.searchBatch(searches.filter(search => !search.error));
+      let next = 0;
+
+      const responses = searches.map(search =>
+        search.error
+          ? { status: 400, ...search }
+          : this._toBatchResponse(search, settled[next++])
+      );
+
+      this.logger.info('Batch search completed', {
+        searches: responses.length,
+        failed: responses.filter(response => response.status !== 200).length,
+      });
+
+      res.json({ responses });
+    } catch (error) {
+      this.logger.logError(error, { context: 'ProductController.batch' });
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to perform search',
+      });
+    }
+  }
+
+  /**
+   * Stream every product matching a search as CSV or NDJSON
+   */
+  async export(req, res) {
+    const { query = '', format = 'ndjson' } = req.query;
+
+    if (typeof format !== 'string' || !Object.hasOwn(EXPORT_FORMATS, format)) {
+      return res.status(400).json({
+        error: 'Invalid format parameter',
+        message: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`,
+      });
+    }
+
+    const searchOptions = this._parseSearchOptions(req.query);
+
+    if (searchOptions.error) {
+      return res.status(400).json(searchOptions);
+    }
+
+    const { sort, mode, profile } = searchOptions;
+    const fields = searchOptions.fields ?? PRODUCT_FIELDS;
+    const exportFormat = EXPORT_FORMATS[format];
+    const products = this.productService.exportProducts(query, pickSearchFilters(req.query), {
+      sort,
+      mode,
+      profile,
+      fields,
+    });
+
+    let first;
+
+    try {
+      // Pulled before responding so bad query syntax or filters still get a 400
+      first = await products.next();
+    } catch (error) {
+      if (error instanceof BadRequestError) {
+        return res.status(error.status).json({ error: error.message, ...error.details });
+      }
+
+      this.logger.logError(error, { context: 'ProductController.export' });
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+
+    const filename = `products-${new Date().toISOString().replace(/[:.]/g, '-')}.${exportFormat.extension}`;
+
+    res.status(200);
+    res.set({
+      'Content-Type': exportFormat.contentType,
+      'Content-Disposition': `attachment; filename="${filename}"`,
+    });
+
+    this.logger.info('Search export started', { query, format });
+
+    try {
+      // pipeline() only pulls the next product once the client has taken the previous output
+      await pipeline(Readable.from(exportFormat.serialize(resumeExport(first, products), fields)), res);
+      this.logger.info('Search export completed', { query, format });
+    } catch (error) {
+      // The headers are already sent, so the client can only see a truncated download
+      this.logger.warn('Search export aborted', { query, format, error: error.message });
+    }
+  }
+
+  /**
+   * Typeahead suggestions for a search-as-you-type prefix
+   */
+  async suggest(req, res) {
+    const { prefix, limit } = req.query;
+
+    if (typeof prefix !== 'string' || prefix.trim() === '') {
+      return res.status(400).json({
+        error: 'Prefix parameter is required',
+        message: 'Please provide a prefix using ?prefix=your-partial-term',
+      });
+    }
+
+    if (prefix.length > MAX_SUGGEST_PREFIX_LENGTH) {
+      return res.status(400).json({
+        error: 'Invalid prefix parameter',
+        message: `prefix must be at most ${MAX_SUGGEST_PREFIX_LENGTH} characters`,
+      });
+    }
+
+    const parsedLimit = limit === undefined ? config.suggest.defaultLimit : Number(limit);
+
+    if (!Number.isInteger(parsedLimit) || parsedLimit < 1 || parsedLimit > config.suggest.maxLimit) {
+      return res.status(400).json({
+        error: 'Invalid limit parameter',
+        message: `limit must be an integer between 1 and ${config.suggest.maxLimit}`,
+      });
+    }
+
+    try {
+      const { products, categories } = await this.productService.suggest(prefix, parsedLimit);
+
+      res.json({ prefix, products, categories });
+    } catch (error) {
+      this.logger.logError(error, { context: 'ProductController.suggest' });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  /**
+   * "More like this" products for a product page
+   */
+  async similar(req, res) {
+    const { id } = req.params;
+    const { limit } = req.query;
+
+    const parsedLimit = limit === undefined ? config.similar.defaultLimit : Number(limit);
+
+    if (!Number.isInteger(parsedLimit) || parsedLimit < 1 || parsedLimit > config.similar.maxLimit) {
+      return res.status(400).json({
+        error: 'Invalid limit parameter',
+        message: `limit must be an integer between 1 and ${config.similar.maxLimit}`,
+      });
+    }
+
+    try {
+      const similar = await this.productService.findSimilarProducts(id, parsedLimit);
+
+      if (!similar) {
+        this.logger.warn('Similar products requested for unknown product', { productId: id });
+        return res.status(404).json({ error: 'Product not found' });
+      }
+
+      res.json({ asin: id, results: similar.results });
+    } catch (error) {
+      this.logger.logError(error, { context: 'ProductController.similar' });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  /**
+   * List the products of a category
+   */
+  async listByCategory(req, res) {
+    const { id } = req.params;
+    const { page, limit, sort = DEFAULT_SORT_MODE, fields } = req.query;
+
+    if (!/^\d+$/.test(id)) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    const pagination = this._parsePagination(page, limit);
+
+    if (pagination.error) {
+      return res.status(400).json({
+        error: 'Invalid pagination parameters',
+        message: pagination.error,
+      });
+    }
+
+    if (!Object.hasOwn(SORT_MODES, sort)) {
+      return res.status(400).json({
+        error: 'Invalid sort parameter',
+        message: `sort must be one of: ${Object.keys(SORT_MODES).join(', ')}`,
+      });
+    }
+
+    const selectedFields = parseFields(fields);
+
+    if (selectedFields?.error) {
+      return res.status(400).json({
+        error: 'Invalid fields parameter',
+        message: selectedFields.error,
+      });
+    }
+
+    try {
+      const listing = await this.productService.listCategoryProducts(Number(id), {
+        ...pagination,
+        sort,
+        fields: selectedFields,
+      });
+
+      if (!listing) {
+        this.logger.warn('Category not found', { categoryId: id });
+        return res.status(404).json({ error: 'Category not found' });
+      }
+
+      res.json({
+        category_id: Number(id),
+        sort,
+        pagination: {
+          page: pagination.page,
+          limit: pagination.limit,
+          total: listing.total,
+          pages: Math.ceil(listing.total / pagination.limit),
+        },
+        results: listing.results,
+      });
+    } catch (error) {
+      this.logger.logError(error, { context: 'ProductController.listByCategory' });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  /**
+   * Validate the sort, mode, profile and fields parameters shared by search and export
+   * Returns { sort, mode, profile, fields }, or { error, message } for a 400 response.
+   */
+  _parseSearchOptions({
+    sort = DEFAULT_SORT_MODE,
+    mode = config.search.defaultMatchMode,
+    profile = config.ranking.defaultProfile,
+    fields,
+  }) {
+    if (!Object.hasOwn(SORT_MODES, sort)) {
+      this.logger.warn('Search attempted with invalid sort', { sort });
+      return {
+        error: 'Invalid sort parameter',
+        message: `sort must be one of: ${Object.keys(SORT_MODES).join(', ')}`,
+      };
+    }
+
+    const matchMode = parseMatchMode(mode);
+
+    if (!matchMode) {
+      this.logger.warn('Search attempted with invalid match mode', { mode });
+      return {
+        error: 'Invalid mode parameter',
+        message: `mode must be one of: ${MATCH_MODES.join(', ')}, or a percentage like 75%`,
+      };
+    }
+
+    if (typeof profile !== 'string' || !Object.hasOwn(config.ranking.profiles, profile)) {
+      this.logger.warn('Search attempted with unknown ranking profile', { profile });
+      return {
+        error: 'Invalid profile parameter',
+        message: `profile must be one of: ${Object.keys(config.ranking.profiles).join(', ')}`,
+      };
+    }
+
+    const selectedFields = parseFields(fields);
+
+    if (selectedFields?.error) {
+      this.logger.warn('Search attempted with invalid fields', { fields });
+      return {
+        error: 'Invalid fields parameter',
+        message: selectedFields.error,
+      };
+    }
+
+    return { sort, mode: matchMode, profile, fields: selectedFields };
+  }
+
+  /**
+   * Parse highlight=true and its tags
+   * Returns null when highlighting is off, { preTag, postTag } or { error }
+   */
+  _parseHighlight(highlight, preTag = DEFAULT_PRE_TAG, postTag = DEFAULT_POST_TAG) {
+    if (!isTrue(highlight)) {
+      return null;
+    }
+
+    const tagsValid = [preTag, postTag].every(tag =>
+      typeof tag === 'string' && tag.length > 0 && tag.length <= MAX_HIGHLIGHT_TAG_LENGTH
+    );
+
+    if (!tagsValid) {
+      return { error: `preTag and postTag must be single values of 1 to ${MAX_HIGHLIGHT_TAG_LENGTH} characters` };
+    }
+
+    return { preTag, postTag };
+  }
+
+  /**
+   * Validate one search of a batch into { query, filters, options }, or { error, message }
+   */
+  _parseBatchSearch(search) {
+    const { error, value } = batchSearchSchema.validate(search);
+
+    if (error) {
+      return { error: 'Invalid search', message: error.message };
+    }
+
+    const pagination = this._parsePagination(value.page, value.limit);
+
+    if (pagination.error) {
+      return { error: 'Invalid pagination parameters', message: pagination.error };
+    }
+
+    const searchOptions = this._parseSearchOptions(value);
+
+    if (searchOptions.error) {
+      return searchOptions;
+    }
+
+    return {
+      query: value.query,
+      filters: { ...value.filters, filter: value.filter },
+      options: { ...pagination, ...searchOptions, facets: value.facets },
+    };
+  }
+
+  /**
+   * Response to one search of a batch, from its settled service result
+   */
+  _toBatchResponse({ query, filters, options }, { status, value, reason }) {
+    if (status === 'rejected') {
+      if (reason instanceof BadRequestError) {
+        return { status: reason.status, error: reason.message, ...reason.details };
+      }
+
+      this.logger.logError(reason, { context: 'ProductController.batch', query });
+      return { status: 500, error: 'Internal server error', message: 'Failed to perform search' };
+    }
+
+    const { page, limit, sort, mode, profile } = options;
+
+    return {
+      status: 200,
+      searchId: value.searchId,
+      query,
+      filters,
+      sort,
+      mode,
+      profile,
+      pagination: { page, limit, total: value.total, pages: Math.ceil(value.total / limit) },
+      ...(value.totalCapped && { totalCapped: true }),
+      results: value.results,
+      facets: value.facets,
+      appliedRules: value.appliedRules,
+    };
+  }
+
+  /**
+   * Parse and validate page/limit/cursor query parameters
+   * Returns { page, limit, cursor } or { error } describing the first invalid value
+   */
+  _parsePagination(page, limit, cursor) {
+    const { defaultLimit, maxLimit, maxResultWindow } = config.search;
+
+    if (cursor !== undefined && (typeof cursor !== 'string' || cursor === '')) {
+      return { error: 'cursor must be a single non-empty value' };
+    }
+
+    if (cursor !== undefined && page !== undefined) {
+      return { error: 'page cannot be combined with cursor' };
+    }
+
+    const parsedPage = page === undefined ? 1 : Number(page);
+    const parsedLimit = limit === undefined ? defaultLimit : Number(limit);
+
+    if (!Number.isInteger(parsedPage) || parsedPage < 1) {
+      return { error: 'page must be a positive integer' };
+    }
+
+    if (!Number.isInteger(parsedLimit) || parsedLimit < 1 || parsedLimit > maxLimit) {
+      return { error: `limit must be an integer between 1 and ${maxLimit}` };
+    }
+
+    if (parsedPage * parsedLimit > maxResultWindow) {
+      return {
+        error: `page * limit must not exceed ${maxResultWindow}; narrow the search to reach deeper results`,
+      };
+    }
+
+    if (cursor !== undefined) {
+      return { limit: parsedLimit, cursor };
+    }
+
+    return { page: parsedPage, limit: parsedLimit };
+  }
+
   /**
    * Get product by ID
    * @swagger
@@ -163,6 +790,15 @@ class ProductController {
    *               $ref: '#/components/schemas/Error'
    */
   async getById(req, res) {
+    const selectedFields = parseFields(req.query.fields);
+
+    if (selectedFields?.error) {
+      return res.status(400).json({
+        error: 'Invalid fields parameter',
+        message: selectedFields.error,
+      });
+    }
+
     try {
       const { id } = req.params;
 
@@ -175,7 +811,7 @@ class ProductController {
         });
       }
 
-      res.status(200).json(product);
+      res.status(200).json(selectedFields ? projectProduct(product, selectedFields) : product);
     } catch (error) {
       this.logger.logError(error, { context: 'ProductController.getById' });
       res.status(500).json({ error: 'Internal server error' });
@@ -0,0 +1,125 @@
+/**
+ * Redirect Controller
+ * Handles HTTP requests for query redirect and rewrite administration
+ *
+ * Copyright 2025
+ * Licensed under the Apache License, Version 2.0
+ */
+
+import Joi from 'joi';
+import { RULE_MATCH_TYPES } from '../utils/merchandising.js';
+
+// Search filters a rewrite may set, as accepted by /api/search
+const REWRITE_FILTERS = [
+  'category_id', 'excludeCategory', 'asin', 'excludeAsin',
+  'minPrice', 'maxPrice', 'minStars', 'isBestSeller', 'minDiscount', 'onSale',
+];
+
+const filterValueSchema = Joi.alternatives(
+  Joi.string().max(200),
+  Joi.number(),
+  Joi.boolean(),
+  Joi.array().items(Joi.string().max(200), Joi.number()).max(100)
+);
+
+const redirectSchema = Joi.object({
+  name: Joi.string().trim().max(200),
+  query: Joi.string().trim().min(1).max(200).required(),
+  match: Joi.string().valid(...RULE_MATCH_TYPES).default('exact'),
+  redirect: Joi.string().uri({ scheme: ['http', 'https'], allowRelative: true }).max(2000),
+  rewrite: Joi.object({
+    query: Joi.string().trim().allow('').max(200),
+    filters: Joi.object().pattern(Joi.string().valid(...REWRITE_FILTERS), filterValueSchema).min(1),
+  }).or('query', 'filters'),
+}).xor('redirect', 'rewrite');
+
+class RedirectController {
+  constructor(redirectService, logger) {
+    this.redirectService = redirectService;
+    this.logger = logger;
+  }
+
+  /**
+   * Get all redirect and rewrite rules
+   */
+  async getAll(req, res) {
+    try {
+      res.status(200).json({
+        redirects: this.redirectService.getRules(),
+      });
+    } catch (error) {
+      this.logger.logError(error, { context: 'RedirectController.getAll' });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  /**
+   * Create a redirect or rewrite rule
+   */
+  async create(req, res) {
+    const { error, value } = redirectSchema.validate(req.body ?? {});
+
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid request body',
+        message: error.message,
+      });
+    }
+
+    try {
+      const rule = await this.redirectService.createRule(value);
+
+      res.status(201).json(rule);
+    } catch (error) {
+      this.logger.logError(error, { context: 'RedirectController.create' });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  /**
+   * Replace a redirect or rewrite rule
+   */
+  async update(req, res) {
+    const { error, value } = redirectSchema.validate(req.body ?? {});
+
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid request body',
+        message: error.message,
+      });
+    }
+
+    try {
+      const rule = await this.redirectService.updateRule(req.params.id, value);
+
+      if (!rule) {
+        return res.status(404).json({ error: 'Redirect not found' });
+      }
+
+      res.status(200).json(rule);
+    } catch (error) {
+      this.logger.logError(error, { context: 'RedirectController.update' });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  /**
+   * Delete a redirect or rewrite rule
+   */
+  async delete(req, res) {
+    try {
+      const deleted = await this.redirectService.deleteRule(req.params.id);
+
+      if (!deleted) {
+        return res.status(404).json({ error: 'Redirect not found' });
+      }
+
+      res.status(204).end();
+    } catch (error) {
+      this.logger.logError(error, { context: 'RedirectController.delete' });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+}
+
+export default RedirectController;
@@ -0,0 +1,97 @@
+/**
+ * Rule Controller
+ * Handles HTTP requests for merchandising rule administration
+ *
+ * Copyright 2025
+ * Licensed under the Apache License, Version 2.0
+ */
+
+import Joi from 'joi';
+import { RULE_MATCH_TYPES } from '../utils/merchandising.js';
+
+const asinSchema = Joi.string().trim().pattern(/^[A-Z0-9]{10}$/i);
+
+const ruleSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(200).required(),
+  query: Joi.string().trim().min(1).max(200).required(),
+  match: Joi.string().valid(...RULE_MATCH_TYPES).default('exact'),
+  pin: Joi.array().items(asinSchema).max(20).unique().default([]),
+  bury: Joi.array().items(asinSchema).max(100).unique().default([]),
+  boost: Joi.array()
+    .items(Joi.object({
+      title: Joi.string().trim().min(1).max(200).required(),
+      factor: Joi.number().greater(0).max(100).default(2),
+    }))
+    .max(20)
+    .default([]),
+  startDate: Joi.date().iso(),
+  endDate: Joi.date().iso().greater(Joi.ref('startDate')),
+}).custom((rule, helpers) =>
+  rule.pin.length + rule.bury.length + rule.boost.length > 0
+    ? rule
+    : helpers.message('a rule needs at least one pin, bury or boost action')
+);
+
+class RuleController {
+  constructor(ruleService, logger) {
+    this.ruleService = ruleService;
+    this.logger = logger;
+  }
+
+  /**
+   * Get all merchandising rules
+   */
+  async getAll(req, res) {
+    try {
+      res.status(200).json({
+        rules: this.ruleService.getRules(),
+      });
+    } catch (error) {
+      this.logger.logError(error, { context: 'RuleController.getAll' });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  /**
+   * Create a merchandising rule
+   */
+  async create(req, res) {
+    const { error, value } = ruleSchema.validate(req.body ?? {});
+
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid request body',
+        message: error.message,
+      });
+    }
+
+    try {
+      const rule = await this.ruleService.createRule(value);
+
+      res.status(201).json(rule);
+    } catch (error) {
+      this.logger.logError(error, { context: 'RuleController.create' });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  /**
+   * Delete a merchandising rule
+   */
+  async delete(req, res) {
+    try {
+      const deleted = await this.ruleService.deleteRule(req.params.id);
+
+      if (!deleted) {
+        return res.status(404).json({ error: 'Rule not found' });
+      }
+
+      res.status(204).end();
+    } catch (error) {
+      this.logger.logError(error, { context: 'RuleController.delete' });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+}
+
+export default RuleController;
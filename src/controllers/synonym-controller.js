@@ -0,0 +1,67 @@
+/**
+ * Synonym Controller
+ * Handles HTTP requests for synonym administration
+ * 
+ * Copyright 2025
+ * Licensed under the Apache License, Version 2.0
+ */
+
+import Joi from 'joi';
+import { BadRequestError } from '../utils/errors.js';
+
+const updateSchema = Joi.object({
+  synonyms: Joi.array()
+    .items(Joi.string().trim().min(1).max(1000))
+    .max(10000)
+    .required(),
+});
+
+class SynonymController {
+  constructor(synonymService, logger) {
+    this.synonymService = synonymService;
+    this.logger = logger;
+  }
+
+  /**
+   * Get all synonym rules
+   */
+  async getAll(req, res) {
+    try {
+      res.status(200).json({
+        synonyms: this.synonymService.getSynonyms(),
+      });
+    } catch (error) {
+      this.logger.logError(error, { context: 'SynonymController.getAll' });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  /**
+   * Replace all synonym rules
+   */
+  async replace(req, res) {
+    const { error, value } = updateSchema.validate(req.body ?? {});
+
+    if (error) {
+      return res.status(400).json({
+        error: 'Invalid request body',
+        message: error.message,
+      });
+    }
+
+    try {
+      const result = await this.synonymService.updateSynonyms(value.synonyms);
+
+      res.status(200).json(result);
+    } catch (error) {
+      if (error instanceof BadRequestError) {
+        return res.status(error.status).json({ error: error.message, ...error.details });
+      }
+
+      this.logger.logError(error, { context: 'SynonymController.replace' });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+}
+
+export default SynonymController;
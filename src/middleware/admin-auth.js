@@ -0,0 +1,49 @@
+/**
+ * Admin Authentication Middleware
+ * 
+ * Copyright 2025
+ * Licensed under the Apache License, Version 2.0
+ */
+
+import crypto from 'crypto';
+import config from '../config/index.js';
+import logger from '../config/logger.js';
+
+/**
+ * Whether a request carries the configured admin key in the X-Admin-Key header.
+ * Without a configured key admin access is disabled, except when NODE_ENV is explicitly "test".
+ */
+export const isAdminRequest = (req) => {
+  const { apiKey } = config.admin;
+
+  if (!apiKey) {
+    return config.server.env === 'test';
+  }
+
+  const provided = Buffer.from(req.get('x-admin-key') || '');
+  const expected = Buffer.from(apiKey);
+
+  return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+};
+
+/**
+ * Reject requests to admin endpoints that do not carry the admin key
+ */
+export const requireAdmin = (req, res, next) => {
+  if (isAdminRequest(req)) {
+    return next();
+  }
+
+  logger.warn('Admin request rejected', {
+    method: req.method,
+    url: req.originalUrl,
+    ip: req.ip,
+  });
+
+  res.status(401).json({
+    error: 'Unauthorized',
+    message: config.admin.apiKey
+      ? 'A valid X-Admin-Key header is required'
+      : 'Admin endpoints are disabled until ADMIN_API_KEY is set',
+  });
+};
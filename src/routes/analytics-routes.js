@@ -0,0 +1,197 @@
+/**
+ * Analytics Routes
+ *
+ * Copyright 2025
+ * Licensed under the Apache License, Version 2.0
+ */
+
+import express from 'express';
+
+class AnalyticsRouter {
+  constructor(analyticsController) {
+    this.analyticsController = analyticsController;
+    this.router = express.Router();
+    this._initializeRoutes();
+  }
+
+  _initializeRoutes() {
+    /**
+     * @swagger
+     * /api/admin/analytics/top-queries:
+     *   get:
+     *     summary: Most searched queries
+     *     tags: [Admin]
+     *     security:
+     *       - AdminKey: []
+     *     parameters:
+     *       - in: query
+     *         name: window
+     *         schema:
+     *           type: string
+     *           default: 24h
+     *         description: How far back the report looks, in minutes, hours or days (e.g. 30m, 24h, 7d)
+     *       - in: query
+     *         name: limit
+     *         schema:
+     *           type: integer
+     *           default: 10
+     *           minimum: 1
+     *           maximum: 100
+     *         description: Maximum number of queries in the report
+     *     responses:
+     *       200:
+     *         description: Report generated successfully
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/AnalyticsReport'
+     *       400:
+     *         description: Invalid window or limit
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/Error'
+     */
+    this.router.get('/top-queries', async (req, res) =>
+      await this.analyticsController.topQueries(req, res)
+    );
+
+    /**
+     * @swagger
+     * /api/admin/analytics/zero-results:
+     *   get:
+     *     summary: Queries that returned no results
+     *     description: Most searched queries among searches that found nothing
+     *     tags: [Admin]
+     *     security:
+     *       - AdminKey: []
+     *     parameters:
+     *       - in: query
+     *         name: window
+     *         schema:
+     *           type: string
+     *           default: 24h
+     *         description: How far back the report looks, in minutes, hours or days (e.g. 30m, 24h, 7d)
+     *       - in: query
+     *         name: limit
+     *         schema:
+     *           type: integer
+     *           default: 10
+     *           minimum: 1
+     *           maximum: 100
+     *         description: Maximum number of queries in the report
+     *     responses:
+     *       200:
+     *         description: Report generated successfully
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/AnalyticsReport'
+     *       400:
+     *         description: Invalid window or limit
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/Error'
+     */
+    this.router.get('/zero-results', async (req, res) =>
+      await this.analyticsController.zeroResults(req, res)
+    );
+
+    /**
+     * @swagger
+     * /api/admin/analytics/slow-queries:
+     *   get:
+     *     summary: Slow queries
+     *     description: Queries with searches taking at least ANALYTICS_SLOW_QUERY_MS, slowest first
+     *     tags: [Admin]
+     *     security:
+     *       - AdminKey: []
+     *     parameters:
+     *       - in: query
+     *         name: window
+     *         schema:
+     *           type: string
+     *           default: 24h
+     *         description: How far back the report looks, in minutes, hours or days (e.g. 30m, 24h, 7d)
+     *       - in: query
+     *         name: limit
+     *         schema:
+     *           type: integer
+     *           default: 10
+     *           minimum: 1
+     *           maximum: 100
+     *         description: Maximum number of queries in the report
+     *     responses:
+     *       200:
+     *         description: Report generated successfully
+     *         content:
+     *           application/json:
+     *             schema:
+     *               allOf:
+     *                 - $ref: '#/components/schemas/AnalyticsReport'
+     *                 - type: object
+     *                   properties:
+     *                     thresholdMs:
+     *                       type: integer
+     *                       example: 500
+     *       400:
+     *         description: Invalid window or limit
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/Error'
+     */
+    this.router.get('/slow-queries', async (req, res) =>
+      await this.analyticsController.slowQueries(req, res)
+    );
+
+    /**
+     * @swagger
+     * /api/admin/analytics/engagement:
+     *   get:
+     *     summary: Click-through rate and mean reciprocal rank per query
+     *     description: Joins searches to the click, add-to-cart and purchase events sent to /api/events by searchId. A search counts as clicked when any result was clicked; its reciprocal rank is 1 / position of the best placed click.
+     *     tags: [Admin]
+     *     security:
+     *       - AdminKey: []
+     *     parameters:
+     *       - in: query
+     *         name: window
+     *         schema:
+     *           type: string
+     *           default: 24h
+     *         description: How far back the report looks, in minutes, hours or days (e.g. 30m, 24h, 7d)
+     *       - in: query
+     *         name: limit
+     *         schema:
+     *           type: integer
+     *           default: 10
+     *           minimum: 1
+     *           maximum: 100
+     *         description: Maximum number of queries in the report
+     *     responses:
+     *       200:
+     *         description: Report generated successfully
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/EngagementReport'
+     *       400:
+     *         description: Invalid window or limit
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/Error'
+     */
+    this.router.get('/engagement', async (req, res) =>
+      await this.analyticsController.engagement(req, res)
+    );
+  }
+
+  getRouter() {
+    return this.router;
+  }
+}
+
+export default AnalyticsRouter;
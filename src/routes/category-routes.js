@@ -8,8 +8,9 @@
 import express from 'express';
 
 class CategoryRouter {
-  constructor(categoryController) {
+  constructor(categoryController, productController) {
     this.categoryController = categoryController;
+    this.productController = productController;
     this.router = express.Router();
     this._initializeRoutes();
   }
@@ -38,6 +39,82 @@ class CategoryRouter {
     this.router.get('/', (req, res) => 
       this.categoryController.getAll(req, res)
     );
+
+    /**
+     * @swagger
+     * /api/categories/{id}/products:
+     *   get:
+     *     summary: List a category's products
+     *     description: One page of the products in a category. Uses Elasticsearch with automatic fallback to the in-memory catalog.
+     *     tags: [Categories]
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: integer
+     *         description: Category ID
+     *         example: 104
+     *       - in: query
+     *         name: sort
+     *         schema:
+     *           type: string
+     *           enum: [relevance, price_asc, price_desc, top_rated, most_reviewed, most_popular, biggest_discount]
+     *           default: relevance
+     *         description: Sort order; relevance lists best sellers, top rated and popular products first
+     *       - in: query
+     *         name: fields
+     *         schema:
+     *           type: string
+     *         description: Comma-separated product fields to return (asin is always included)
+     *         example: asin,title,price,imgUrl
+     *       - in: query
+     *         name: page
+     *         schema:
+     *           type: integer
+     *           default: 1
+     *           minimum: 1
+     *       - in: query
+     *         name: limit
+     *         schema:
+     *           type: integer
+     *           default: 10
+     *           minimum: 1
+     *           maximum: 100
+     *     responses:
+     *       200:
+     *         description: Products retrieved successfully
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: object
+     *               properties:
+     *                 category_id:
+     *                   type: integer
+     *                 sort:
+     *                   type: string
+     *                 pagination:
+     *                   $ref: '#/components/schemas/Pagination'
+     *                 results:
+     *                   type: array
+     *                   items:
+     *                     $ref: '#/components/schemas/Product'
+     *       400:
+     *         description: Invalid sort, fields or pagination parameters
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/Error'
+     *       404:
+     *         description: Category not found
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/Error'
+     */
+    this.router.get('/:id/products', async (req, res) =>
+      await this.productController.listByCategory(req, res)
+    );
   }
 
 getRouter() {
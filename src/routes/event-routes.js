@@ -0,0 +1,55 @@
+/**
+ * Event Routes
+ *
+ * Copyright 2025
+ * Licensed under the Apache License, Version 2.0
+ */
+
+import express from 'express';
+
+class EventRouter {
+  constructor(eventController) {
+    this.eventController = eventController;
+    this.router = express.Router();
+    this._initializeRoutes();
+  }
+
+  _initializeRoutes() {
+    /**
+     * @swagger
+     * /api/events:
+     *   post:
+     *     summary: Track a click or conversion on a search result
+     *     description: Records a click, add-to-cart or purchase of a product shown by a search, identified by the searchId of the search response. Events feed the click-through rate and mean reciprocal rank report at /api/admin/analytics/engagement.
+     *     tags: [Events]
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/SearchEvent'
+     *     responses:
+     *       202:
+     *         description: Event recorded
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/SearchEvent'
+     *       400:
+     *         description: Invalid event
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/Error'
+     */
+    this.router.post('/', async (req, res) =>
+      await this.eventController.create(req, res)
+    );
+  }
+
+  getRouter() {
+    return this.router;
+  }
+}
+
+export default EventRouter;
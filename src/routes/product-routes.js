@@ -28,7 +28,7 @@ class ProductRouter {
      *         required: true
      *         schema:
      *           type: string
-     *         description: Search term to find products (supports fuzzy matching)
+     *         description: Search term to find products (supports fuzzy matching). Also accepts "quoted phrases", -exclusions and field operators price, stars, reviews (:<, :<=, :>, :>=, :a..b), category, bestseller and asin, e.g. luggage "carry on" -hardside price:<100 stars:>=4
      *         example: headphones
      *       - in: query
      *         name: category
@@ -37,6 +37,38 @@ class ProductRouter {
      *         description: Filter by product category
      *         example: Electronics
      *       - in: query
+     *         name: category_id
+     *         schema:
+     *           type: array
+     *           items:
+     *             type: integer
+     *         style: form
+     *         explode: true
+     *         description: Only these category ids; repeat the parameter or separate ids with commas
+     *         example: [201, 202]
+     *       - in: query
+     *         name: excludeCategory
+     *         schema:
+     *           type: array
+     *           items:
+     *             type: integer
+     *         description: Leave out these category ids (comma-separated or repeated)
+     *         example: [250]
+     *       - in: query
+     *         name: asin
+     *         schema:
+     *           type: array
+     *           items:
+     *             type: string
+     *         description: Only these ASINs (comma-separated or repeated)
+     *       - in: query
+     *         name: excludeAsin
+     *         schema:
+     *           type: array
+     *           items:
+     *             type: string
+     *         description: Leave out these ASINs (comma-separated or repeated)
+     *       - in: query
      *         name: minPrice
      *         schema:
      *           type: number
@@ -49,19 +81,114 @@ class ProductRouter {
      *         description: Maximum price filter
      *         example: 200
      *       - in: query
+     *         name: minDiscount
+     *         schema:
+     *           type: number
+     *         description: Minimum percentage off the list price
+     *         example: 20
+     *       - in: query
+     *         name: onSale
+     *         schema:
+     *           type: boolean
+     *         description: Only products priced below their list price
+     *         example: true
+     *       - in: query
+     *         name: sort
+     *         schema:
+     *           type: string
+     *           enum: [relevance, price_asc, price_desc, top_rated, most_reviewed, most_popular, biggest_discount]
+     *           default: relevance
+     *         description: Sort order of the results
+     *         example: price_asc
+     *       - in: query
+     *         name: mode
+     *         schema:
+     *           type: string
+     *           default: any
+     *         description: How many query terms a product must match - any, all, phrase (terms in order), or a percentage of the terms such as 75%. hybrid matches like any and fuses the results with the nearest neighbours of the query embedding by reciprocal rank; it needs VECTOR_SEARCH_ENABLED=true and the relevance sort. The default is set by SEARCH_DEFAULT_MATCH_MODE.
+     *         example: all
+     *       - in: query
+     *         name: profile
+     *         schema:
+     *           type: string
+     *           enum: [text, balanced, popular, fresh]
+     *           default: balanced
+     *         description: Ranking profile combining text relevance with popularity, rating and freshness signals. The default is set by SEARCH_DEFAULT_PROFILE.
+     *         example: popular
+     *       - in: query
+     *         name: autoCorrect
+     *         schema:
+     *           type: boolean
+     *           default: false
+     *         description: Run the spelling-corrected query instead when it finds more results. Not applied to cursor pagination.
+     *         example: true
+     *       - in: query
+     *         name: relax
+     *         schema:
+     *           type: boolean
+     *           default: false
+     *         description: When nothing matches, retry with looser constraints - drop the star rating, widen then drop the price range, drop the category, then match any word - and explain them in `relaxed`. Not applied to cursor pagination.
+     *         example: true
+     *       - in: query
+     *         name: highlight
+     *         schema:
+     *           type: boolean
+     *           default: false
+     *         description: Add HTML-escaped title fragments with matched words wrapped in preTag/postTag as _highlight.title
+     *         example: true
+     *       - in: query
+     *         name: preTag
+     *         schema:
+     *           type: string
+     *           default: <em>
+     *         description: Tag inserted before each highlighted word
+     *       - in: query
+     *         name: postTag
+     *         schema:
+     *           type: string
+     *           default: </em>
+     *         description: Tag inserted after each highlighted word
+     *       - in: query
+     *         name: fields
+     *         schema:
+     *           type: string
+     *         description: Comma-separated product fields to return instead of the whole document, _score and _id (asin is always included)
+     *         example: asin,title,price,imgUrl
+     *       - in: query
      *         name: page
      *         schema:
      *           type: integer
      *           default: 1
-     *         description: Page number for pagination
+     *           minimum: 1
+     *         description: Page number for pagination (page * limit may not exceed SEARCH_MAX_RESULT_WINDOW)
      *         example: 1
      *       - in: query
      *         name: limit
      *         schema:
      *           type: integer
      *           default: 10
-     *         description: Number of results per page
+     *           minimum: 1
+     *           maximum: 100
+     *         description: Number of results per page (capped by SEARCH_MAX_LIMIT)
      *         example: 10
+     *       - in: query
+     *         name: cursor
+     *         schema:
+     *           type: string
+     *         description: Deep pagination cursor. Pass "*" to start a walk, then the cursor returned by the previous page. Cannot be combined with page.
+     *         example: '*'
+     *       - in: query
+     *         name: debug
+     *         schema:
+     *           type: boolean
+     *           default: false
+     *         description: Admin only (X-Admin-Key). Add `debug` with the exact Elasticsearch request, its took time and whether the fallback was used, and a per-hit `_explanation` score breakdown
+     *       - in: query
+     *         name: queryProfile
+     *         schema:
+     *           type: boolean
+     *           default: false
+     *         description: Admin only (X-Admin-Key). Like debug, plus the Elasticsearch profile API output as debug.profile
      *     responses:
      *       200:
      *         description: Search results returned successfully
@@ -70,7 +197,13 @@ class ProductRouter {
      *             schema:
      *               $ref: '#/components/schemas/SearchResponse'
      *       400:
-     *         description: Bad request - query parameter is required
+     *         description: Bad request - query parameter is required, or sort or pagination parameters are invalid
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/Error'
+     *       401:
+     *         description: debug or queryProfile without a valid X-Admin-Key header
      *         content:
      *           application/json:
      *             schema:
@@ -80,6 +213,230 @@ class ProductRouter {
       await this.productController.search(req, res)
     );
 
+    /**
+     * @swagger
+     * /api/search:
+     *   post:
+     *     summary: Search for products with a JSON body
+     *     description: Takes the parameters of GET /api/search as a JSON body, plus `filter`, a nested boolean filter expression (and, or, not, term, range, exists) over product fields that query strings cannot express. The expression is applied by Elasticsearch and by the in-memory fallback alike, and narrows facet counts too. Unlike GET, `query` may be empty to search by filters alone.
+     *     tags: [Search]
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/SearchRequest'
+     *           example:
+     *             query: luggage
+     *             filter:
+     *               or:
+     *                 - and:
+     *                     - term: { category_id: 104 }
+     *                     - range: { price: { lt: 100 } }
+     *                 - and:
+     *                     - term: { category_id: 201 }
+     *                     - term: { isBestSeller: true }
+     *             sort: price_asc
+     *     responses:
+     *       200:
+     *         description: Search results returned successfully
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/SearchResponse'
+     *       400:
+     *         description: Invalid body, filter expression, query syntax, filters, sort or pagination
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/Error'
+     *       401:
+     *         description: debug or queryProfile without a valid X-Admin-Key header
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/Error'
+     */
+    this.router.post('/search', async (req, res) =>
+      await this.productController.searchByBody(req, res)
+    );
+
+    /**
+     * @swagger
+     * /api/search/batch:
+     *   post:
+     *     summary: Run several searches in one request
+     *     description: Runs up to SEARCH_MAX_BATCH_SIZE searches with a single Elasticsearch multi-search, or one by one in memory when Elasticsearch is unavailable. Each search gets its own entry in `responses`, in request order, with a status of its own, so an invalid search does not fail the others. Redirect and rewrite rules are not applied; merchandising rules are.
+     *     tags: [Search]
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/BatchSearchRequest'
+     *     responses:
+     *       200:
+     *         description: Every search was answered, successfully or not
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/BatchSearchResponse'
+     *       400:
+     *         description: searches is missing, empty or longer than SEARCH_MAX_BATCH_SIZE
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/Error'
+     */
+    this.router.post('/search/batch', async (req, res) =>
+      await this.productController.batch(req, res)
+    );
+
+    /**
+     * @swagger
+     * /api/search/export:
+     *   get:
+     *     summary: Export every product matching a search
+     *     description: Streams all matching products as CSV or newline-delimited JSON, fetched from Elasticsearch in batches (EXPORT_BATCH_SIZE) with a point in time, or from the in-memory catalog when Elasticsearch is unavailable. Accepts the filters, sort, mode, profile and fields parameters of /api/search; merchandising rules apply, pagination, highlighting and relaxation do not.
+     *     tags: [Search]
+     *     parameters:
+     *       - in: query
+     *         name: format
+     *         schema:
+     *           type: string
+     *           enum: [csv, ndjson]
+     *           default: ndjson
+     *         description: Output format
+     *       - in: query
+     *         name: query
+     *         schema:
+     *           type: string
+     *         description: Search query, in the /api/search syntax; omit it to export every product matching the filters
+     *         example: luggage
+     *       - in: query
+     *         name: fields
+     *         schema:
+     *           type: string
+     *         description: Comma-separated product fields (CSV columns) to export; all product fields by default
+     *         example: asin,title,price
+     *     responses:
+     *       200:
+     *         description: Products streamed as an attachment
+     *         content:
+     *           text/csv:
+     *             schema:
+     *               type: string
+     *           application/x-ndjson:
+     *             schema:
+     *               type: string
+     *       400:
+     *         description: Invalid format, query syntax, filters, sort, mode, profile or fields
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/Error'
+     */
+    this.router.get('/search/export', async (req, res) =>
+      await this.productController.export(req, res)
+    );
+
+    /**
+     * @swagger
+     * /api/suggest:
+     *   get:
+     *     summary: Typeahead suggestions
+     *     description: Returns product title completions and matching category names for a search-as-you-type prefix. Every word of the prefix must start a word of the title. Falls back to an in-memory prefix trie when Elasticsearch is slow or unavailable.
+     *     tags: [Search]
+     *     parameters:
+     *       - in: query
+     *         name: prefix
+     *         required: true
+     *         schema:
+     *           type: string
+     *           maxLength: 100
+     *         description: Partial search input
+     *         example: samso
+     *       - in: query
+     *         name: limit
+     *         schema:
+     *           type: integer
+     *           default: 5
+     *           minimum: 1
+     *           maximum: 20
+     *         description: Maximum number of product and category suggestions
+     *         example: 5
+     *     responses:
+     *       200:
+     *         description: Suggestions returned successfully
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/SuggestResponse'
+     *       400:
+     *         description: Bad request - prefix is missing or too long, or limit is invalid
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/Error'
+     */
+    this.router.get('/suggest', async (req, res) =>
+      await this.productController.suggest(req, res)
+    );
+
+    /**
+     * @swagger
+     * /api/products/{id}/similar:
+     *   get:
+     *     summary: Get similar products
+     *     description: Products sharing title terms with the given product, priced within a band around it and ranked higher in the same category. The product itself is never included. Uses an Elasticsearch more_like_this query, or title token overlap when Elasticsearch is unavailable.
+     *     tags: [Products]
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: string
+     *         description: ASIN of the source product
+     *         example: B014TMV5YE
+     *       - in: query
+     *         name: limit
+     *         schema:
+     *           type: integer
+     *           default: 6
+     *           minimum: 1
+     *           maximum: 24
+     *         description: Maximum number of similar products
+     *     responses:
+     *       200:
+     *         description: Similar products retrieved successfully
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: object
+     *               properties:
+     *                 asin:
+     *                   type: string
+     *                 results:
+     *                   type: array
+     *                   items:
+     *                     $ref: '#/components/schemas/Product'
+     *       400:
+     *         description: Invalid limit
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/Error'
+     *       404:
+     *         description: Product not found
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/Error'
+     */
+    this.router.get('/:id/similar', async (req, res) =>
+      await this.productController.similar(req, res)
+    );
+
     /**
      * @swagger
      * /api/products/{id}:
@@ -95,6 +452,12 @@ class ProductRouter {
      *           type: integer
      *         description: Product ID
      *         example: 1
+     *       - in: query
+     *         name: fields
+     *         schema:
+     *           type: string
+     *         description: Comma-separated product fields to return (asin is always included)
+     *         example: asin,title,price,imgUrl
      *     responses:
      *       200:
      *         description: Product details retrieved successfully
@@ -102,6 +465,12 @@ class ProductRouter {
      *           application/json:
      *             schema:
      *               $ref: '#/components/schemas/ProductDetail'
+     *       400:
+     *         description: Invalid fields parameter
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/Error'
      *       404:
      *         description: Product not found
      *         content:
@@ -0,0 +1,144 @@
+/**
+ * Redirect Routes
+ *
+ * Copyright 2025
+ * Licensed under the Apache License, Version 2.0
+ */
+
+import express from 'express';
+
+class RedirectRouter {
+  constructor(redirectController) {
+    this.redirectController = redirectController;
+    this.router = express.Router();
+    this._initializeRoutes();
+  }
+
+  _initializeRoutes() {
+    /**
+     * @swagger
+     * /api/admin/redirects:
+     *   get:
+     *     summary: Get query redirects and rewrites
+     *     tags: [Admin]
+     *     security:
+     *       - AdminKey: []
+     *     responses:
+     *       200:
+     *         description: Rules retrieved successfully
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: object
+     *               properties:
+     *                 redirects:
+     *                   type: array
+     *                   items:
+     *                     $ref: '#/components/schemas/QueryRedirect'
+     *       401:
+     *         description: Missing or invalid admin key
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/Error'
+     */
+    this.router.get('/', (req, res) =>
+      this.redirectController.getAll(req, res)
+    );
+
+    /**
+     * @swagger
+     * /api/admin/redirects:
+     *   post:
+     *     summary: Create a query redirect or rewrite
+     *     description: Searches matching the query are answered with a redirect URL instead of results, or run with a rewritten query and filters. Exactly one of redirect and rewrite must be set.
+     *     tags: [Admin]
+     *     security:
+     *       - AdminKey: []
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/QueryRedirect'
+     *     responses:
+     *       201:
+     *         description: Rule created
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/QueryRedirect'
+     *       400:
+     *         description: Invalid rule
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/Error'
+     */
+    this.router.post('/', async (req, res) =>
+      await this.redirectController.create(req, res)
+    );
+
+    /**
+     * @swagger
+     * /api/admin/redirects/{id}:
+     *   put:
+     *     summary: Replace a query redirect or rewrite
+     *     tags: [Admin]
+     *     security:
+     *       - AdminKey: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: string
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/QueryRedirect'
+     *     responses:
+     *       200:
+     *         description: Rule replaced
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/QueryRedirect'
+     *       400:
+     *         description: Invalid rule
+     *       404:
+     *         description: Rule not found
+     *   delete:
+     *     summary: Delete a query redirect or rewrite
+     *     tags: [Admin]
+     *     security:
+     *       - AdminKey: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: string
+     *     responses:
+     *       204:
+     *         description: Rule deleted
+     *       404:
+     *         description: Rule not found
+     */
+    this.router.put('/:id', async (req, res) =>
+      await this.redirectController.update(req, res)
+    );
+
+    this.router.delete('/:id', async (req, res) =>
+      await this.redirectController.delete(req, res)
+    );
+  }
+
+  getRouter() {
+    return this.router;
+  }
+}
+
+export default RedirectRouter;
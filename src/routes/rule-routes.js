@@ -0,0 +1,118 @@
+/**
+ * Rule Routes
+ *
+ * Copyright 2025
+ * Licensed under the Apache License, Version 2.0
+ */
+
+import express from 'express';
+
+class RuleRouter {
+  constructor(ruleController) {
+    this.ruleController = ruleController;
+    this.router = express.Router();
+    this._initializeRoutes();
+  }
+
+  _initializeRoutes() {
+    /**
+     * @swagger
+     * /api/admin/rules:
+     *   get:
+     *     summary: Get merchandising rules
+     *     description: List all merchandising rules, including scheduled and expired ones
+     *     tags: [Admin]
+     *     security:
+     *       - AdminKey: []
+     *     responses:
+     *       200:
+     *         description: Rules retrieved successfully
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: object
+     *               properties:
+     *                 rules:
+     *                   type: array
+     *                   items:
+     *                     $ref: '#/components/schemas/MerchandisingRule'
+     *       401:
+     *         description: Missing or invalid admin key
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/Error'
+     */
+    this.router.get('/', (req, res) =>
+      this.ruleController.getAll(req, res)
+    );
+
+    /**
+     * @swagger
+     * /api/admin/rules:
+     *   post:
+     *     summary: Create a merchandising rule
+     *     description: Pin, bury or boost products for searches matching a query. Rules apply immediately to relevance-sorted searches on both Elasticsearch and the in-memory fallback.
+     *     tags: [Admin]
+     *     security:
+     *       - AdminKey: []
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/MerchandisingRule'
+     *     responses:
+     *       201:
+     *         description: Rule created
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/MerchandisingRule'
+     *       400:
+     *         description: Invalid rule
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/Error'
+     */
+    this.router.post('/', async (req, res) =>
+      await this.ruleController.create(req, res)
+    );
+
+    /**
+     * @swagger
+     * /api/admin/rules/{id}:
+     *   delete:
+     *     summary: Delete a merchandising rule
+     *     tags: [Admin]
+     *     security:
+     *       - AdminKey: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: string
+     *         description: Rule id
+     *     responses:
+     *       204:
+     *         description: Rule deleted
+     *       404:
+     *         description: Rule not found
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/Error'
+     */
+    this.router.delete('/:id', async (req, res) =>
+      await this.ruleController.delete(req, res)
+    );
+  }
+
+  getRouter() {
+    return this.router;
+  }
+}
+
+export default RuleRouter;
@@ -0,0 +1,92 @@
+/**
+ * Synonym Routes
+ * 
+ * Copyright 2025
+ * Licensed under the Apache License, Version 2.0
+ */
+
+import express from 'express';
+
+class SynonymRouter {
+  constructor(synonymController) {
+    this.synonymController = synonymController;
+    this.router = express.Router();
+    this._initializeRoutes();
+  }
+
+  _initializeRoutes() {
+    /**
+     * @swagger
+     * /api/admin/synonyms:
+     *   get:
+     *     summary: Get search synonyms
+     *     description: List the synonym rules applied to product title searches
+     *     tags: [Admin]
+     *     security:
+     *       - AdminKey: []
+     *     responses:
+     *       200:
+     *         description: Synonym rules retrieved successfully
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/SynonymList'
+     *       401:
+     *         description: Missing or invalid admin key
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/Error'
+     */
+    this.router.get('/', (req, res) =>
+      this.synonymController.getAll(req, res)
+    );
+
+    /**
+     * @swagger
+     * /api/admin/synonyms:
+     *   put:
+     *     summary: Replace search synonyms
+     *     description: Replace all synonym rules. Rules are saved to the synonyms file and pushed to the Elasticsearch synonyms set, which reloads the search analyzer without reindexing. The in-memory fallback uses them immediately.
+     *     tags: [Admin]
+     *     security:
+     *       - AdminKey: []
+     *     requestBody:
+     *       required: true
+     *       content:
+     *         application/json:
+     *           schema:
+     *             $ref: '#/components/schemas/SynonymList'
+     *     responses:
+     *       200:
+     *         description: Synonyms replaced
+     *         content:
+     *           application/json:
+     *             schema:
+     *               type: object
+     *               properties:
+     *                 synonyms:
+     *                   type: array
+     *                   items:
+     *                     type: string
+     *                 reloaded:
+     *                   type: boolean
+     *                   description: Whether the Elasticsearch synonyms set was updated
+     *       400:
+     *         description: Invalid synonym rules
+     *         content:
+     *           application/json:
+     *             schema:
+     *               $ref: '#/components/schemas/Error'
+     */
+    this.router.put('/', async (req, res) =>
+      await this.synonymController.replace(req, res)
+    );
+  }
+
+  getRouter() {
+    return this.router;
+  }
+}
+
+export default SynonymRouter;
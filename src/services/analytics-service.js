@@ -0,0 +1,257 @@
+/**
+ * Analytics Service
+ * Records every product search and the clicks and conversions on its results, and reports on
+ * them: most searched, zero-result and slow queries, click-through rate and mean reciprocal rank
+ *
+ * Searches and events are logged to dedicated Elasticsearch indices, or appended to local JSON
+ * lines files while Elasticsearch is unavailable. Reports read whichever store is reachable.
+ *
+ * Copyright 2025
+ * Licensed under the Apache License, Version 2.0
+ */
+
+import fs from 'fs';
+import path from 'path';
+import elasticsearchClient from '../config/elasticsearch.js';
+import config from '../config/index.js';
+import { normalizeQuery, summarizeQueries, summarizeEngagement } from '../utils/analytics.js';
+
+// Searches each report counts, as an Elasticsearch filter and as a check on file events
+const REPORTS = {
+  top: {
+    clauses: () => [],
+    matches: () => true,
+  },
+  zeroResults: {
+    clauses: () => [{ term: { resultCount: 0 } }],
+    matches: event => event.resultCount === 0,
+  },
+  slow: {
+    clauses: thresholdMs => [{ range: { latencyMs: { gte: thresholdMs } } }],
+    matches: (event, thresholdMs) => event.latencyMs >= thresholdMs,
+    byLatency: true, // Slowest first rather than most searched first
+  },
+};
+
+class AnalyticsService {
+  constructor(logger) {
+    this.logger = logger;
+    this.esClient = elasticsearchClient;
+    this.searchStore = { index: config.analytics.index, file: config.analytics.file };
+    this.eventStore = { index: config.analytics.eventsIndex, file: config.analytics.eventsFile };
+    this.pendingWrites = new Set();
+  }
+
+  /**
+   * Log a search without blocking it; failures are logged, never thrown
+   */
+  recordSearch({ searchId, query, filters = {}, resultCount, latencyMs, backend, relaxed = false }) {
+    const event = {
+      timestamp: new Date().toISOString(),
+      searchId,
+      query: normalizeQuery(query),
+      filters: Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== undefined)),
+      resultCount,
+      latencyMs,
+      backend,
+      fallback: backend !== 'elasticsearch',
+      relaxed,
+    };
+
+    return this._write(this.searchStore, event);
+  }
+
+  /**
+   * Log a click, add-to-cart or purchase on a search result
+   */
+  async recordEvent({ type, searchId, asin, position }) {
+    const event = { timestamp: new Date().toISOString(), type, searchId, asin, position };
+
+    await this._write(this.eventStore, event);
+    return event;
+  }
+
+  /**
+   * Add a document to a store, falling back to its file; failures are logged, never thrown
+   */
+  _write(store, document) {
+    const write = this._writeDocument(store, document).finally(() => this.pendingWrites.delete(write));
+    this.pendingWrites.add(write);
+
+    return write;
+  }
+
+  async _writeDocument(store, document) {
+    try {
+      await this.esClient.index({ index: store.index, body: document });
+    } catch (error) {
+      try {
+        await fs.promises.mkdir(path.dirname(store.file), { recursive: true });
+        await fs.promises.appendFile(store.file, `${JSON.stringify(document)}\n`);
+      } catch (fileError) {
+        this.logger.warn('Failed to record search analytics', {
+          index: store.index,
+          error: error.message,
+          fileError: fileError.message,
+        });
+      }
+    }
+  }
+
+  /**
+   * Most searched queries
+   */
+  getTopQueries(options) {
+    return this._report(REPORTS.top, options);
+  }
+
+  /**
+   * Queries that found nothing, most searched first
+   */
+  getZeroResultQueries(options) {
+    return this._report(REPORTS.zeroResults, options);
+  }
+
+  /**
+   * Queries that took at least config.analytics.slowQueryMs, slowest first
+   */
+  getSlowQueries(options) {
+    return this._report(REPORTS.slow, options);
+  }
+
+  /**
+   * Report rows for searches in the last windowMs milliseconds: { since, queries, backend }
+   */
+  async _report(report, { windowMs, limit }) {
+    const since = new Date(Date.now() - windowMs).toISOString();
+    const thresholdMs = config.analytics.slowQueryMs;
+
+    // Searches logged just before the report are included
+    await Promise.all(this.pendingWrites);
+
+    try {
+      const response = await this.esClient.search({
+        index: this.searchStore.index,
+        body: {
+          query: {
+            bool: {
+              filter: [{ range: { timestamp: { gte: since } } }, ...report.clauses(thresholdMs)],
+            },
+          },
+          aggs: {
+            queries: {
+              terms: {
+                field: 'query',
+                size: limit,
+                order: report.byLatency ? { max_latency: 'desc' } : { _count: 'desc' },
+              },
+              aggs: {
+                avg_latency: { avg: { field: 'latencyMs' } },
+                max_latency: { max: { field: 'latencyMs' } },
+                last_searched: { max: { field: 'timestamp' } },
+              },
+            },
+          },
+          size: 0,
+        },
+      });
+
+      const queries = response.aggregations.queries.buckets.map(bucket => ({
+        query: bucket.key,
+        count: bucket.doc_count,
+        maxLatencyMs: bucket.max_latency.value,
+        lastSearchedAt: bucket.last_searched.value_as_string,
+        avgLatencyMs: Math.round(bucket.avg_latency.value),
+      }));
+
+      return { since, queries, backend: 'elasticsearch' };
+    } catch (error) {
+      this.logger.warn('Elasticsearch analytics report failed, using local analytics file', {
+        error: error.message,
+      });
+
+      const events = (await this._readFile(this.searchStore.file))
+        .filter(event => event.timestamp >= since && report.matches(event, thresholdMs));
+      const queries = summarizeQueries(events);
+
+      if (report.byLatency) {
+        queries.sort((a, b) => b.maxLatencyMs - a.maxLatencyMs);
+      }
+
+      return { since, queries: queries.slice(0, limit), backend: 'file' };
+    }
+  }
+
+  /**
+   * Click-through rate and mean reciprocal rank per query for searches in the last windowMs
+   * milliseconds, most searched first: { since, queries, backend }
+   *
+   * Searches are joined to their events by searchId, so the report reads the logged documents
+   * themselves, up to config.analytics.maxReportDocuments of each, newest first.
+   */
+  async getEngagement({ windowMs, limit }) {
+    const since = new Date(Date.now() - windowMs).toISOString();
+
+    await Promise.all(this.pendingWrites);
+
+    const [searches, events] = await Promise.all([
+      this._readDocuments(this.searchStore, since),
+      this._readDocuments(this.eventStore, since),
+    ]);
+
+    return {
+      since,
+      queries: summarizeEngagement(searches.documents, events.documents).slice(0, limit),
+      backend: searches.backend,
+    };
+  }
+
+  /**
+   * Documents logged to a store since a time: { documents, backend }
+   */
+  async _readDocuments(store, since) {
+    try {
+      const response = await this.esClient.search({
+        index: store.index,
+        body: {
+          query: { range: { timestamp: { gte: since } } },
+          sort: [{ timestamp: 'desc' }],
+          size: config.analytics.maxReportDocuments,
+        },
+      });
+
+      return { documents: response.hits.hits.map(hit => hit._source), backend: 'elasticsearch' };
+    } catch (error) {
+      this.logger.warn('Elasticsearch analytics read failed, using local analytics file', {
+        index: store.index,
+        error: error.message,
+      });
+
+      const documents = (await this._readFile(store.file)).filter(document => document.timestamp >= since);
+      return { documents, backend: 'file' };
+    }
+  }
+
+  async _readFile(filePath) {
+    try {
+      const content = await fs.promises.readFile(filePath, 'utf8');
+
+      // A line cut short by a crash is skipped rather than failing the whole report
+      return content.split('\n').flatMap(line => {
+        try {
+          return line ? [JSON.parse(line)] : [];
+        } catch {
+          return [];
+        }
+      });
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+
+      throw error;
+    }
+  }
+}
+
+export default AnalyticsService;
@@ -6,6 +6,8 @@
  * Licensed under the Apache License, Version 2.0
  */
 
+import { tokenize } from '../utils/text.js';
+
 class CategoryService {
   constructor(logger) {
     this.logger = logger;
@@ -18,7 +20,9 @@ class CategoryService {
       { id: 2, name: 'Sports', count: 80 },
       { id: 3, name: 'Clothing', count: 200 },
       { id: 4, name: 'Books', count: 120 },
-      { id: 5, name: 'Home & Garden', count: 95 }
+      { id: 5, name: 'Home & Garden', count: 95 },
+      { id: 104, name: 'Luggage & Travel Gear', count: 2 },
+      { id: 201, name: 'Headphones & Earbuds', count: 1 }
     ];
   }
 
@@ -45,6 +49,25 @@ class CategoryService {
       c.name.toLowerCase() === name.toLowerCase()
     );
   }
+
+  /**
+   * Find categories in whose name every token of the prefix starts a word
+   */
+  findCategoriesByPrefix(prefix, limit = 5) {
+    const tokens = tokenize(prefix);
+
+    if (tokens.length === 0) {
+      return [];
+    }
+
+    return this.categories
+      .filter(c => {
+        const words = tokenize(c.name);
+        return tokens.every(token => words.some(word => word.startsWith(token)));
+      })
+      .slice(0, limit)
+      .map(({ id, name }) => ({ id, name }));
+  }
 }
 
 export default CategoryService;
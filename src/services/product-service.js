@@ -6,14 +6,87 @@
  * Licensed under the Apache License, Version 2.0
  */
 
+import crypto from 'crypto';
 import elasticsearchClient from '../config/elasticsearch.js';
 import config from '../config/index.js';
+import { BadRequestError } from '../utils/errors.js';
+import {
+  DEFAULT_SORT_MODE,
+  getSortKeys,
+  toElasticsearchSort,
+  sortValues,
+  compareSortValues,
+} from '../utils/sort.js';
+import {
+  START_CURSOR,
+  encodeCursor,
+  decodeCursor,
+  searchFingerprint,
+} from '../utils/cursor.js';
+import {
+  STAR_RANGES,
+  rangesFromBoundaries,
+  countRanges,
+  countTerms,
+} from '../utils/facets.js';
+import { tokenize, editDistance, autoFuzziness, tokenOverlap } from '../utils/text.js';
+import PrefixTrie from '../utils/prefix-trie.js';
+import { highlightText } from '../utils/highlight.js';
+import { parseQuery, replaceQueryText } from '../utils/query-parser.js';
+import { toMultiMatchOptions, requiredMatches } from '../utils/match-modes.js';
+import { withDiscount } from '../utils/discount.js';
+import { combineRules } from '../utils/merchandising.js';
+import { planRelaxation, activeFilters } from '../utils/relaxation.js';
+import { projectProduct } from '../utils/fields.js';
+import { compileFilterExpression } from '../utils/filter-expression.js';
+import { createEmbedder, withEmbedding, cosineSimilarity } from '../utils/embeddings.js';
+import { reciprocalRankFusion } from '../utils/rank-fusion.js';
+
+// Score multiplier of buried products; low enough to sink them below any organic match
+const BURY_FACTOR = 0.01;
+
+// Fallback score of the first pinned product, above anything a boost can produce
+const PINNED_SCORE = 1e6;
+
+// Score multiplier for similar products in the source product's category
+const SAME_CATEGORY_BOOST = 2;
+
+/**
+ * Values of a multi-value filter, given as a repeated parameter and/or comma-separated
+ */
+const toList = (value) =>
+  [value].flat()
+    .flatMap(item => (item === undefined || item === null ? [] : String(item).split(',')))
+    .map(item => item.trim())
+    .filter(Boolean);
+
+/**
+ * Category ids of a filter, rejecting anything that is not an integer
+ */
+const toCategoryIds = (value, name) => {
+  const ids = toList(value);
+
+  if (ids.some(id => !/^\d+$/.test(id))) {
+    throw new BadRequestError(`Invalid ${name} filter`, {
+      message: `${name} must be category ids, repeated or comma-separated, e.g. ${name}=201,202`,
+    });
+  }
+
+  return ids.map(Number);
+};
 
 class ProductService {
-  constructor(logger) {
+  constructor(logger, categoryService = null, synonymService = null, ruleService = null, analyticsService = null) {
     this.logger = logger;
+    this.categoryService = categoryService;
+    this.synonymService = synonymService;
+    this.ruleService = ruleService;
+    this.analyticsService = analyticsService;
     this.esClient = elasticsearchClient;
     this.indexName = config.elasticsearch.index;
+    this.embedder = config.vector.enabled
+      ? createEmbedder(config.vector.embedder, { dims: config.vector.dims })
+      : null;
     this._initializeDummyData();
   }
 
@@ -59,103 +132,314 @@ class ProductService {
         isBestSeller: true,
         boughtInLastMonth: 15000
       }
-    ];
+    ].map(withDiscount); // Same derived deal fields as indexed documents
   }
 
   /**
    * Search products by query and filters using Elasticsearch
+   *
+   * Returns one page of results together with the total number of matches, facet counts and
+   * the merchandising rules that shaped the ranking: { results, total, facets, appliedRules,
+   * backend }. When options.cursor is set the page is fetched with point-in-time + search_after
+   * and the envelope also carries the next cursor.
+   *
+   * The query may use the search box syntax of utils/query-parser.js (phrases, exclusions,
+   * field operators); syntax errors are thrown as BadRequestError. options.mode sets how many
+   * of its plain terms must match (utils/match-modes.js) and options.profile the ranking
+   * profile (config.ranking) combined with text relevance.
+   *
+   * Searches with few hits also get a spelling `suggestion`; with options.autoCorrect the
+   * corrected query is run instead when it finds more, flagged by `autoCorrected` (not for
+   * cursor walks, which only get the suggestion).
+   *
+   * options.fields limits each result to those product fields (utils/fields.js).
+   *
+   * With options.relax a page-based search that finds nothing is retried with progressively
+   * looser constraints; the envelope then explains what was given up in `relaxed`.
+   *
+   * Every completed search gets a `searchId`, which click and conversion events on its results
+   * refer to, and is recorded for search analytics.
+   */
+  async searchProducts(query, filters = {}, options = {}) {
+    const startedAt = Date.now();
+    const searchId = crypto.randomUUID();
+    const envelope = await this._searchWithCorrection(query, filters, options);
+
+    // Cursor walks are not relaxed: their cursors are bound to the filters as requested
+    const result = options.relax && !options.cursor && envelope.total === 0
+      ? await this._relaxSearch(envelope, query, filters, options)
+      : envelope;
+
+    this.analyticsService?.recordSearch({
+      searchId,
+      query,
+      filters,
+      resultCount: envelope.total, // As requested, so relaxed searches still count as zero-result
+      latencyMs: Date.now() - startedAt,
+      backend: result.backend,
+      relaxed: Boolean(result.relaxed),
+    });
+
+    return { ...this._projectResults(result, options.fields), searchId };
+  }
+
+  /**
+   * One page of a category's products, as a search for everything in the category
+   * Takes the page, limit, sort and fields options of searchProducts. Returns null when the
+   * category does not exist.
    */
-  async searchProducts(query, filters = {}) {
-    this.logger.info('Product search initiated with Elasticsearch', { query, filters });
+  async listCategoryProducts(categoryId, options = {}) {
+    if (this.categoryService && !this.categoryService.getCategoryById(categoryId)) {
+      return null;
+    }
 
-    const { category_id, minPrice, maxPrice, isBestSeller, minStars } = filters;
+    const envelope = await this._executeSearch('', { category_id: String(categoryId) }, options);
+
+    return this._projectResults(envelope, options.fields);
+  }
+
+  /**
+   * Every product matching a search, one at a time, for bulk export
+   *
+   * Walks the results in batches of config.export.batchSize with the point-in-time cursors of
+   * cursor pagination, so only one batch is held in memory and the next one is fetched when the
+   * consumer asks for it. Takes the sort, mode, profile and fields options of searchProducts.
+   * A walk abandoned part way (e.g. the client disconnected) closes its point in time.
+   */
+  async *exportProducts(query, filters = {}, options = {}) {
+    let cursor = START_CURSOR;
+    let pitId = null;
 
     try {
-      // Build Elasticsearch query
-      const mustClauses = [];
-      const filterClauses = [];
-
-      // Add text search query
-      if (query) {
-        mustClauses.push({
-          multi_match: {
-            query: query,
-            fields: ['title^2', 'asin'], // Boost title field, also search ASIN
-            fuzziness: 'AUTO',
-            operator: 'or'
-          },
+      while (cursor) {
+        const batch = await this._executeSearch(query, filters, {
+          ...options,
+          cursor,
+          limit: config.export.batchSize,
+          facets: false,
         });
+
+        cursor = batch.cursor;
+        pitId = cursor && batch.backend === 'elasticsearch' ? decodeCursor(cursor).pit : null;
+
+        yield* this._projectResults(batch, options.fields).results;
       }
+    } finally {
+      if (pitId) {
+        await this.esClient.closePointInTime({ id: pitId }).catch(error =>
+          this.logger.debug('Failed to close point in time', { error: error.message })
+        );
+      }
+    }
+  }
 
-      // Add category filter
-      if (category_id) {
-        filterClauses.push({
-          term: { category_id: parseInt(category_id) },
-        });
+  /**
+   * Limit an envelope's results to the requested fields
+   * Done last, as fallback cursors are built from full products.
+   */
+  _projectResults(envelope, fields) {
+    if (!fields) {
+      return envelope;
+    }
+
+    return { ...envelope, results: envelope.results.map(product => projectProduct(product, fields)) };
+  }
+
+  /**
+   * Retry a search that found nothing with looser constraints (utils/relaxation.js)
+   *
+   * Returns the first looser search with results, explained by `relaxed: { query, mode, filters,
+   * steps }`, or the original envelope with `relaxed: null` when even the loosest finds nothing.
+   */
+  async _relaxSearch(envelope, query, filters, options) {
+    const mode = options.mode ?? config.search.defaultMatchMode;
+
+    for (const { search, steps } of planRelaxation({ query, filters, mode })) {
+      const relaxed = await this._executeSearch(search.query, search.filters, { ...options, mode: search.mode });
+
+      if (relaxed.total > 0) {
+        this.logger.info('Search relaxed', { query, filters, steps });
+
+        return {
+          ...relaxed,
+          suggestion: envelope.suggestion,
+          relaxed: { query: search.query, mode: search.mode, filters: activeFilters(search.filters), steps },
+        };
       }
+    }
 
-      // Add price range filter
-      const priceRange = {};
-      if (minPrice) priceRange.gte = parseFloat(minPrice);
-      if (maxPrice) priceRange.lte = parseFloat(maxPrice);
+    return { ...envelope, relaxed: null };
+  }
 
-      if (Object.keys(priceRange).length > 0) {
-        filterClauses.push({
-          range: { price: priceRange },
-        });
+  /**
+   * Run a search, adding a spelling suggestion or auto-correcting it when it finds few hits
+   */
+  async _searchWithCorrection(query, filters, options) {
+    const envelope = await this._executeSearch(query, filters, options);
+    const parsedQuery = parseQuery(query);
+
+    // Continuation pages belong to a walk that was already corrected (or not) on its first page
+    const isContinuation = options.cursor && options.cursor !== START_CURSOR;
+
+    if (!parsedQuery.text || isContinuation || envelope.total > config.search.spellcheckMaxHits) {
+      return envelope;
+    }
+
+    // Only the plain text is corrected; phrases and operators are kept as typed
+    const correctedText = await this._suggestCorrection(parsedQuery.text, envelope.backend);
+
+    if (!correctedText) {
+      return { ...envelope, suggestion: null };
+    }
+
+    const suggestion = replaceQueryText(parsedQuery, correctedText);
+
+    // Cursor walks are not auto-corrected: their cursors are bound to the query as typed
+    if (options.autoCorrect && !options.cursor) {
+      const corrected = await this._executeSearch(suggestion, filters, options);
+
+      if (corrected.total > envelope.total) {
+        this.logger.info('Search auto-corrected', { query, correctedQuery: suggestion });
+        return { ...corrected, suggestion, autoCorrected: true, correctedQuery: suggestion };
       }
+    }
 
-      // Add star rating filter
-      if (minStars) {
-        filterClauses.push({
-          range: { stars: { gte: parseFloat(minStars) } },
+    return { ...envelope, suggestion };
+  }
+
+  /**
+   * Run several searches in one Elasticsearch round trip (msearch)
+   *
+   * Takes [{ query, filters, options }] with the page, limit, sort, mode, profile, fields and facets
+   * options of searchProducts, and settles every search on its own like Promise.allSettled: bad
+   * syntax or filters in one search, or Elasticsearch failing it, does not fail the others. When
+   * Elasticsearch is down, the in-memory engine serves the searches one by one.
+   */
+  async searchBatch(searches) {
+    const startedAt = Date.now();
+    const prepared = searches.map(({ query, filters = {}, options = {} }) => {
+      try {
+        const request = this._prepareSearch(query, filters, options);
+
+        return { query, filters, options, request, hybrid: request.fallbackOptions.mode === 'hybrid' };
+      } catch (error) {
+        return { error };
+      }
+    });
+    // Hybrid searches send their own multi-search of a lexical and a kNN search
+    const runnable = prepared.filter(search => !search.error && !search.hybrid);
+    let responses = [];
+
+    if (runnable.length > 0) {
+      try {
+        ({ responses } = await this.esClient.msearch({
+          index: this.indexName,
+          searches: runnable.flatMap(search => [{}, search.request.body]),
+        }));
+      } catch (error) {
+        this.logger.error('Elasticsearch multi-search failed, falling back to in-memory search', {
+          error: error.message,
+          searches: runnable.length,
         });
       }
+    }
+
+    return Promise.all(prepared.map(async search => {
+      if (search.error) {
+        return { status: 'rejected', reason: search.error };
+      }
+
+      const { query, filters, options, request } = search;
+      const response = responses[runnable.indexOf(search)];
+
+      try {
+        let envelope;
 
-      // Add best seller filter
-      if (isBestSeller !== undefined) {
-        filterClauses.push({
-          term: { isBestSeller: isBestSeller === 'true' || isBestSeller === true },
+        if (search.hybrid) {
+          envelope = await this._executeHybridSearch(query, filters, options);
+        } else if (response && !response.error) {
+          envelope = this._toSearchEnvelope(response, request, query);
+        } else {
+          if (response) {
+            this.logger.warn('Elasticsearch search of a batch failed, falling back to in-memory search', {
+              error: response.error.reason ?? response.error.type,
+              query,
+            });
+          }
+
+          envelope = this._fallbackSearch(query, filters, { ...options, ...request.fallbackOptions });
+        }
+
+        const searchId = crypto.randomUUID();
+
+        this.analyticsService?.recordSearch({
+          searchId,
+          query,
+          filters,
+          resultCount: envelope.total,
+          latencyMs: Date.now() - startedAt, // The whole batch, which is what the caller waited for
+          backend: envelope.backend,
+          relaxed: false,
         });
+
+        return { status: 'fulfilled', value: { ...this._projectResults(envelope, options.fields), searchId } };
+      } catch (error) {
+        return { status: 'rejected', reason: error };
       }
+    }));
+  }
 
-      // Build the complete query
-      const esQuery = {
-        bool: {
-          must: mustClauses.length > 0 ? mustClauses : [{ match_all: {} }],
-          filter: filterClauses,
-        },
-      };
+  /**
+   * Run a single search against Elasticsearch, falling back to in-memory search
+   */
+  async _executeSearch(query, filters = {}, options = {}) {
+    if ((options.mode ?? config.search.defaultMatchMode) === 'hybrid') {
+      return this._executeHybridSearch(query, filters, options);
+    }
 
-      // Execute search
-      const response = await this.esClient.search({
-        index: this.indexName,
-        body: {
-          query: esQuery,
-          sort: [
-            { _score: { order: 'desc' } }, // Relevance first
-            { isBestSeller: { order: 'desc' } }, // Best sellers next
-            { stars: { order: 'desc' } }, // Then by rating
-            { boughtInLastMonth: { order: 'desc' } }, // Then by popularity
-          ],
-          size: 100, // Max results
-        },
-      });
+    const prepared = this._prepareSearch(query, filters, options);
+    const { page, limit, sort, fingerprint, cursorState, body, fallbackOptions } = prepared;
 
-      // Extract and format results
-      const results = response.hits.hits.map(hit => ({
-        ...hit._source,
-        _score: hit._score, // Include relevance score
-        _id: hit._id
-      }));
+    // Exactly what is sent to Elasticsearch; PIT searches must not name an index
+    const request = cursorState ? { body } : { index: this.indexName, body };
 
-      this.logger.info('Elasticsearch search completed', {
-        query,
-        resultCount: results.length,
-        took: response.took,
-      });
+    this.logger.info('Product search initiated with Elasticsearch', { query, filters, page, limit, sort });
 
-      return results;
+    try {
+      if (cursorState) {
+        // A point in time keeps the walk consistent while the index changes underneath it
+        const pitId = cursorState.pit || (await this.esClient.openPointInTime({
+          index: this.indexName,
+          keep_alive: this._cursorKeepAlive(),
+        })).id;
+
+        body.pit = { id: pitId, keep_alive: this._cursorKeepAlive() };
+        if (cursorState.after) body.search_after = cursorState.after;
+      }
+
+      const response = await this.esClient.search(request);
+
+      const envelope = this._toSearchEnvelope(response, prepared, query);
+
+      if (options.debug) {
+        envelope.debug = {
+          backend: 'elasticsearch',
+          fallback: false,
+          took: response.took,
+          request,
+          ...(options.queryProfile && { profile: response.profile }),
+        };
+      }
+
+      if (cursorState) {
+        envelope.cursor = await this._nextElasticsearchCursor(
+          response,
+          limit,
+          fingerprint
+        );
+      }
+
+      return envelope;
     } catch (error) {
       this.logger.error('Elasticsearch search failed, falling back to in-memory search', {
         error: error.message,
@@ -163,65 +447,986 @@ class ProductService {
       });
 
       // Fallback to in-memory search
-      return this._fallbackSearch(query, filters);
+      const envelope = this._fallbackSearch(query, filters, { ...options, ...fallbackOptions });
+
+      if (options.debug) {
+        envelope.debug = { backend: 'memory', fallback: true, took: null, error: error.message, request };
+      }
+
+      return envelope;
     }
   }
 
   /**
-   * Fallback in-memory search if Elasticsearch fails
+   * Hybrid search: the lexical (BM25) ranking fused with the nearest neighbours of the query's
+   * embedding by reciprocal rank (utils/rank-fusion.js)
+   *
+   * Both rankings are fetched config.vector.rankWindowSize deep in one msearch and fused here
+   * rather than by Elasticsearch's rrf ranker, which needs a paid license, so the in-memory
+   * fallback ranks exactly the same way. Filters, quoted phrases and exclusions constrain both
+   * rankings; merchandising, highlights and facet counts come from the lexical one.
    */
-  _fallbackSearch(query, filters = {}) {
-    const { category_id, minPrice, maxPrice, isBestSeller, minStars } = filters;
+  async _executeHybridSearch(query, filters, options) {
+    const { page = 1, limit = config.search.defaultLimit, sort = DEFAULT_SORT_MODE } = options;
+    const { rankWindowSize } = config.vector;
 
-    let results = [...this.products];
+    if (!this.embedder) {
+      throw new BadRequestError('Invalid mode parameter', {
+        message: 'mode=hybrid needs vector search, enabled with VECTOR_SEARCH_ENABLED=true',
+      });
+    }
 
-    // Filter by search query
-    if (query) {
-      const lowerQuery = query.toLowerCase();
-      results = results.filter(product =>
-        product.title.toLowerCase().includes(lowerQuery) ||
-        product.asin.toLowerCase().includes(lowerQuery)
-      );
+    if (sort !== DEFAULT_SORT_MODE || options.cursor) {
+      throw new BadRequestError('Invalid mode parameter', {
+        message: `mode=hybrid ranks by ${DEFAULT_SORT_MODE} only and cannot be walked with a cursor or exported`,
+      });
     }
 
-    // Apply category filter
-    if (category_id) {
-      results = results.filter(product =>
-        product.category_id === parseInt(category_id)
-      );
+    if (page * limit > rankWindowSize) {
+      throw new BadRequestError('Invalid pagination parameters', {
+        message: `page * limit must not exceed ${rankWindowSize} in mode=hybrid, which ranks that many results`,
+      });
     }
 
-    // Apply price filters
-    if (minPrice) {
-      results = results.filter(product => product.price >= parseFloat(minPrice));
+    const lexical = this._prepareSearch(query, filters, { ...options, page: 1, limit: rankWindowSize });
+    const { parsedQuery } = lexical.fallbackOptions;
+    const queryText = [parsedQuery.text, ...parsedQuery.phrases].filter(Boolean).join(' ');
+    const queryVector = queryText ? await this.embedder.embed(queryText) : null;
+    const nearest = queryVector && {
+      knn: {
+        field: 'embedding',
+        query_vector: queryVector,
+        k: rankWindowSize,
+        num_candidates: Math.max(config.vector.numCandidates, rankWindowSize),
+        filter: this._vectorFilter(parsedQuery, lexical.builtFilters),
+      },
+      size: rankWindowSize,
+      ...(lexical.body._source && { _source: lexical.body._source }),
+      ...(options.debug && { explain: true }),
+    };
+    const request = { index: this.indexName, searches: [{}, lexical.body, ...(nearest ? [{}, nearest] : [])] };
+
+    this.logger.info('Hybrid product search initiated with Elasticsearch', { query, filters, page, limit });
+
+    let lexicalEnvelope;
+    let nearestResults;
+    let debug;
+
+    try {
+      const { took, responses } = await this.esClient.msearch(request);
+      const failed = responses.find(response => response.error);
+
+      if (failed) {
+        throw new Error(failed.error.reason ?? failed.error.type);
+      }
+
+      lexicalEnvelope = this._toSearchEnvelope(responses[0], lexical, query);
+      nearestResults = nearest
+        ? this._toSearchEnvelope(responses[1], { ...lexical, body: nearest }, query).results
+        : [];
+      debug = {
+        backend: 'elasticsearch',
+        fallback: false,
+        took,
+        request,
+        ...(options.queryProfile && { profile: responses[0].profile }),
+      };
+    } catch (error) {
+      this.logger.error('Elasticsearch hybrid search failed, falling back to in-memory search', {
+        error: error.message,
+        query,
+      });
+
+      lexicalEnvelope = this._fallbackSearch(query, filters, {
+        ...options, ...lexical.fallbackOptions, page: 1, limit: rankWindowSize,
+      });
+      nearestResults = queryVector
+        ? await this._fallbackNearestProducts(queryVector, parsedQuery, lexical.builtFilters)
+        : [];
+      debug = { backend: 'memory', fallback: true, took: null, error: error.message, request };
+    }
+
+    const fused = reciprocalRankFusion(
+      [lexicalEnvelope.results, nearestResults].map(results => results.map(product => product.asin)),
+      config.vector.rankConstant
+    );
+    // Lexical hits win over the same product found by kNN, as they carry highlights
+    const products = new Map([...nearestResults, ...lexicalEnvelope.results].map(product => [product.asin, product]));
+    // Pinned products stay on top in pin order, as fusion would otherwise rank them by rank alone
+    const pinned = lexical.fallbackOptions.merchandising.actions.pin.filter(asin => products.has(asin));
+    const ranked = [
+      ...pinned.map((id, index) => ({ id, score: PINNED_SCORE - index })),
+      ...fused.filter(({ id }) => !pinned.includes(id)),
+    ];
+    const from = (page - 1) * limit;
+
+    // Only the window is ranked; more matches exist when it overflows or the lexical window was full
+    const total = Math.min(ranked.length, rankWindowSize);
+
+    const envelope = {
+      ...lexicalEnvelope,
+      results: ranked.slice(from, from + limit).map(({ id, score }) => ({ ...products.get(id), _score: score })),
+      total,
+      totalCapped: total < ranked.length || lexicalEnvelope.total > lexicalEnvelope.results.length,
+    };
+
+    if (options.debug) {
+      envelope.debug = debug;
+    }
+
+    return envelope;
+  }
+
+  /**
+   * The constraints of a search as a kNN filter: its filters, quoted phrases and exclusions
+   * Facet filters are included, as kNN results have no post filter to narrow them later.
+   */
+  _vectorFilter(parsedQuery, builtFilters) {
+    return {
+      bool: {
+        filter: builtFilters.map(f => f.clause),
+        must: parsedQuery.phrases.map(phrase => ({ match_phrase: { title: phrase } })),
+        must_not: parsedQuery.excluded.map(phrase => ({ match_phrase: { title: phrase } })),
+      },
+    };
+  }
+
+  /**
+   * In-memory kNN: the products allowed by the search's constraints, most similar first
+   */
+  async _fallbackNearestProducts(queryVector, parsedQuery, builtFilters) {
+    const embeddings = await this._getProductEmbeddings();
+
+    return this.products
+      .filter(product =>
+        builtFilters.every(f => f.test(product)) &&
+        parsedQuery.phrases.every(phrase => this._titleHasPhrase(product, phrase)) &&
+        !parsedQuery.excluded.some(phrase => this._titleHasPhrase(product, phrase))
+      )
+      .map(product => ({ product, similarity: cosineSimilarity(queryVector, embeddings.get(product.asin)) }))
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, config.vector.rankWindowSize)
+      .map(({ product }) => product);
+  }
+
+  /**
+   * Embeddings of the in-memory products by ASIN, computed once
+   */
+  _getProductEmbeddings() {
+    if (!this.productEmbeddings) {
+      this.productEmbeddings = Promise.all(this.products.map(product => withEmbedding(product, this.embedder)))
+        .then(products => new Map(products.map(product => [product.asin, product.embedding])))
+        .catch(error => {
+          this.productEmbeddings = null;
+          throw error;
+        });
+    }
+
+    return this.productEmbeddings;
+  }
+
+  /**
+   * Copy of a product document with its embedding when vector search is enabled
+   */
+  async _withEmbedding(document) {
+    return this.embedder ? withEmbedding(document, this.embedder) : document;
+  }
+
+  /**
+   * Everything a search needs before it reaches a backend: its defaults, parsed query, filters,
+   * merchandising, cursor and Elasticsearch request body
+   *
+   * Bad syntax, filters or cursors throw BadRequestError here, so they are reported instead of
+   * triggering the fallback. Cursor searches get their point in time in _executeSearch; other
+   * searches have `from` set. `fallbackOptions` are the parts the in-memory engine reuses.
+   */
+  _prepareSearch(query, filters = {}, options = {}) {
+    const {
+      page = 1,
+      limit = config.search.defaultLimit,
+      sort = DEFAULT_SORT_MODE,
+      mode = config.search.defaultMatchMode,
+      profile = config.ranking.defaultProfile,
+    } = options;
+    const fingerprint = searchFingerprint({ query, filters, sort, mode, profile });
+
+    const parsedQuery = parseQuery(query);
+    const builtFilters = [...this._buildFilters(filters), ...this._buildQueryFilters(parsedQuery.fields)];
+    const merchandising = this._getMerchandising(parsedQuery, sort);
+    const cursorState = options.cursor
+      ? this._resolveCursor(options.cursor, fingerprint)
+      : null;
+
+    const body = {
+      query: this._applyMerchandising(
+        this._applyRankingProfile(this._buildElasticsearchQuery(parsedQuery, builtFilters, mode), profile),
+        merchandising.actions,
+        builtFilters,
+        parsedQuery
+      ),
+      // Facet filters narrow the hits but not the aggregations (multi-select facets)
+      post_filter: { bool: { filter: this._facetFilters(builtFilters).map(f => f.clause) } },
+      // Facet counts are skipped when nobody reads them (options.facets === false), e.g. exports
+      aggs: options.facets === false ? undefined : this._buildFacetAggregations(builtFilters),
+      sort: toElasticsearchSort(getSortKeys(sort)),
+      size: limit,
+      track_total_hits: true, // Report the real match count, not the 10k default cap
+    };
+
+    if (options.fields) {
+      body._source = options.fields;
+    }
+
+    // Debug searches ask for per-hit score explanations and, optionally, the query profiler
+    if (options.debug) {
+      body.explain = true;
+    }
+
+    if (options.queryProfile) {
+      body.profile = true;
+    }
+
+    if (!cursorState) {
+      body.from = (page - 1) * limit;
+    }
+
+    if (options.highlight) {
+      body.highlight = {
+        pre_tags: [options.highlight.preTag],
+        post_tags: [options.highlight.postTag],
+        encoder: 'html', // Escape the title text around the tags
+        fields: {
+          title: { number_of_fragments: 0 }, // Highlight the whole title
+        },
+      };
+    }
+
+    return {
+      page,
+      limit,
+      sort,
+      fingerprint,
+      builtFilters,
+      cursorState,
+      body,
+      fallbackOptions: { mode, profile, cursorState, parsedQuery, merchandising },
+    };
+  }
+
+  /**
+   * The { results, total, facets, appliedRules, backend } envelope of an Elasticsearch response
+   */
+  _toSearchEnvelope(response, { body, fallbackOptions }, query) {
+    // Extract and format results
+    const results = response.hits.hits.map(hit => ({
+      ...hit._source,
+      _score: hit._score, // Include relevance score
+      _id: hit._id,
+      ...(hit.highlight && { _highlight: hit.highlight }),
+      ...(hit._explanation && { _explanation: hit._explanation }),
+    }));
+
+    // hits.total is an object since ES 7, a plain number before that
+    const total = typeof response.hits.total === 'number'
+      ? response.hits.total
+      : response.hits.total.value;
+
+    this.logger.info('Elasticsearch search completed', {
+      query,
+      resultCount: results.length,
+      total,
+      took: response.took,
+    });
+
+    return {
+      results,
+      total,
+      facets: body.aggs ? this._formatElasticsearchFacets(response.aggregations) : null,
+      appliedRules: fallbackOptions.merchandising.appliedRules,
+      backend: 'elasticsearch',
+    };
+  }
+
+  /**
+   * Translate search filters into Elasticsearch clauses and equivalent in-memory predicates,
+   * so both backends apply exactly the same constraints.
+   *
+   * Filters tagged with a facet are applied as post filters; that facet's counts ignore them.
+   */
+  _buildFilters(filters = {}) {
+    const {
+      category_id, excludeCategory, asin, excludeAsin,
+      minPrice, maxPrice, isBestSeller, minStars, minDiscount, onSale, filter,
+    } = filters;
+    const builtFilters = [];
+
+    // Add category filter, matching any of the given categories
+    const categoryIds = toCategoryIds(category_id, 'category_id');
+    if (categoryIds.length > 0) {
+      builtFilters.push({
+        facet: 'categories',
+        clause: { terms: { category_id: categoryIds } },
+        test: product => categoryIds.includes(product.category_id),
+      });
+    }
+
+    // Excluded categories also disappear from the category facet
+    const excludedCategoryIds = toCategoryIds(excludeCategory, 'excludeCategory');
+    if (excludedCategoryIds.length > 0) {
+      builtFilters.push({
+        clause: { bool: { must_not: [{ terms: { category_id: excludedCategoryIds } }] } },
+        test: product => !excludedCategoryIds.includes(product.category_id),
+      });
+    }
+
+    // Add ASIN allow and deny lists
+    const asins = toList(asin);
+    if (asins.length > 0) {
+      builtFilters.push({
+        clause: { terms: { asin: asins } },
+        test: product => asins.includes(product.asin),
+      });
     }
 
-    if (maxPrice) {
-      results = results.filter(product => product.price <= parseFloat(maxPrice));
+    const excludedAsins = toList(excludeAsin);
+    if (excludedAsins.length > 0) {
+      builtFilters.push({
+        clause: { bool: { must_not: [{ terms: { asin: excludedAsins } }] } },
+        test: product => !excludedAsins.includes(product.asin),
+      });
     }
 
-    // Apply star rating filter
+    // Add price range filter
+    const priceRange = {};
+    if (minPrice) priceRange.gte = parseFloat(minPrice);
+    if (maxPrice) priceRange.lte = parseFloat(maxPrice);
+
+    if (Object.keys(priceRange).length > 0) {
+      builtFilters.push({
+        facet: 'price',
+        clause: { range: { price: priceRange } },
+        test: product =>
+          (priceRange.gte === undefined || product.price >= priceRange.gte) &&
+          (priceRange.lte === undefined || product.price <= priceRange.lte),
+      });
+    }
+
+    // Add star rating filter
     if (minStars) {
-      results = results.filter(product => product.stars >= parseFloat(minStars));
+      const stars = parseFloat(minStars);
+      builtFilters.push({
+        facet: 'stars',
+        clause: { range: { stars: { gte: stars } } },
+        test: product => product.stars >= stars,
+      });
     }
 
-    // Apply best seller filter
+    // Add best seller filter
     if (isBestSeller !== undefined) {
       const isBest = isBestSeller === 'true' || isBestSeller === true;
-      results = results.filter(product => product.isBestSeller === isBest);
+      builtFilters.push({
+        facet: 'bestSeller',
+        clause: { term: { isBestSeller: isBest } },
+        test: product => product.isBestSeller === isBest,
+      });
+    }
+
+    // Add deal filters on the derived discount fields
+    if (minDiscount) {
+      const discount = parseFloat(minDiscount);
+      builtFilters.push({
+        clause: { range: { discountPercent: { gte: discount } } },
+        test: product => product.discountPercent >= discount,
+      });
+    }
+
+    if (onSale === 'true' || onSale === true) {
+      builtFilters.push({
+        clause: { term: { onSale: true } },
+        test: product => product.onSale,
+      });
+    }
+
+    // Add the nested filter expression of a JSON-body search; like query fields it has no facet
+    if (filter !== undefined) {
+      builtFilters.push(compileFilterExpression(filter));
+    }
+
+    return builtFilters;
+  }
+
+  /**
+   * Translate field:value clauses typed in the query into built filters
+   *
+   * They are part of the query itself, so they carry no facet and narrow the facet counts too.
+   */
+  _buildQueryFilters(fieldClauses = []) {
+    return fieldClauses.map(({ field, range, value, negated }) => {
+      const built = range
+        ? {
+          clause: { range: { [field]: range } },
+          test: product =>
+            (range.gt === undefined || product[field] > range.gt) &&
+            (range.gte === undefined || product[field] >= range.gte) &&
+            (range.lt === undefined || product[field] < range.lt) &&
+            (range.lte === undefined || product[field] <= range.lte),
+        }
+        : {
+          clause: { term: { [field]: value } },
+          test: product => product[field] === value,
+        };
+
+      return negated
+        ? { clause: { bool: { must_not: [built.clause] } }, test: product => !built.test(product) }
+        : built;
+    });
+  }
+
+  /**
+   * Built filters that belong to a facet, optionally leaving one facet out
+   */
+  _facetFilters(builtFilters, excludedFacet) {
+    return builtFilters.filter(f => f.facet && f.facet !== excludedFacet);
+  }
+
+  /**
+   * Build the Elasticsearch bool query for a parsed query
+   *
+   * The match mode decides how many of the text's terms must match (see utils/match-modes.js).
+   * Only filters without a facet are applied here; facet filters go to post_filter.
+   */
+  _buildElasticsearchQuery(parsedQuery, builtFilters = [], mode = config.search.defaultMatchMode) {
+    const mustClauses = [];
+
+    // Add text search query
+    if (parsedQuery.text) {
+      mustClauses.push({
+        multi_match: {
+          query: parsedQuery.text,
+          fields: ['title^2', 'asin'], // Boost title field, also search ASIN
+          ...toMultiMatchOptions(mode),
+        },
+      });
+    }
+
+    // Quoted phrases must appear in the title as written
+    parsedQuery.phrases.forEach(phrase => mustClauses.push({ match_phrase: { title: phrase } }));
+
+    // Build the complete query
+    return {
+      bool: {
+        must: mustClauses.length > 0 ? mustClauses : [{ match_all: {} }],
+        must_not: parsedQuery.excluded.map(phrase => ({ match_phrase: { title: phrase } })),
+        filter: builtFilters.filter(f => !f.facet).map(f => f.clause),
+      },
+    };
+  }
+
+  /**
+   * Wrap a query in function_score according to a ranking profile from config.ranking
+   *
+   * Profiles without functions leave the query as is, ranking by text relevance alone.
+   */
+  _applyRankingProfile(query, profileName = config.ranking.defaultProfile) {
+    const { functions = [], ...scoring } = config.ranking.profiles[profileName];
+
+    if (functions.length === 0) {
+      return query;
+    }
+
+    return { function_score: { query, functions, ...scoring } };
+  }
+
+  /**
+   * Active merchandising rules for a parsed query: { appliedRules, actions }
+   * where actions are the combined { pin, bury, boost } of every matching rule
+   * Pins only apply to the relevance sort: other sorts list matching products only.
+   */
+  _getMerchandising(parsedQuery, sort = DEFAULT_SORT_MODE) {
+    const rules = this.ruleService?.findActiveRules(parsedQuery.text) ?? [];
+
+    if (rules.length > 0) {
+      this.logger.debug('Merchandising rules matched', { query: parsedQuery.text, rules: rules.map(rule => rule.id) });
+    }
+
+    const actions = combineRules(rules);
+
+    return {
+      appliedRules: rules.map(({ id, name }) => ({ id, name })),
+      actions: sort === DEFAULT_SORT_MODE ? actions : { ...actions, pin: [] },
+    };
+  }
+
+  /**
+   * Apply merchandising actions to a scored query
+   *
+   * Boosts multiply the score of products whose title has the phrase, buried products are
+   * demoted with a negative boost and pinned products are put on top with a pinned query.
+   * Pinned products skip the text match but still honor the non-facet filters, quoted phrases
+   * and exclusions.
+   */
+  _applyMerchandising(query, { pin, bury, boost }, builtFilters = [], parsedQuery = parseQuery('')) {
+    let merchandised = query;
+
+    if (boost.length > 0) {
+      merchandised = {
+        function_score: {
+          query: merchandised,
+          functions: boost.map(({ title, factor }) => ({ filter: { match_phrase: { title } }, weight: factor })),
+          score_mode: 'multiply',
+          boost_mode: 'multiply',
+        },
+      };
+    }
+
+    if (bury.length > 0) {
+      merchandised = {
+        boosting: {
+          positive: merchandised,
+          negative: { ids: { values: bury } },
+          negative_boost: BURY_FACTOR,
+        },
+      };
+    }
+
+    if (pin.length > 0) {
+      merchandised = {
+        bool: {
+          must: [{ pinned: { ids: pin, organic: merchandised } }],
+          must_not: parsedQuery.excluded.map(phrase => ({ match_phrase: { title: phrase } })),
+          filter: [
+            ...builtFilters.filter(f => !f.facet).map(f => f.clause),
+            ...parsedQuery.phrases.map(phrase => ({ match_phrase: { title: phrase } })),
+          ],
+        },
+      };
+    }
+
+    return merchandised;
+  }
+
+  /**
+   * Fallback equivalent of _applyMerchandising's scoring, for the relevance sort
+   */
+  _merchandisingScore(product, { pin, bury, boost }) {
+    const pinIndex = pin.indexOf(product.asin);
+
+    if (pinIndex !== -1) {
+      return PINNED_SCORE - pinIndex;
     }
 
-    // Sort results
-    results.sort((a, b) => {
-      // Best sellers first
-      if (a.isBestSeller !== b.isBestSeller) return b.isBestSeller - a.isBestSeller;
-      // Then by rating
-      if (a.stars !== b.stars) return b.stars - a.stars;
-      // Then by popularity
-      return b.boughtInLastMonth - a.boughtInLastMonth;
+    const boostFactor = boost
+      .filter(({ title }) => this._titleHasPhrase(product, tokenize(title).join(' ')))
+      .reduce((score, { factor }) => score * factor, 1);
+
+    return boostFactor * (bury.includes(product.asin) ? BURY_FACTOR : 1);
+  }
+
+  /**
+   * Build facet aggregations, each scoped by every active facet filter except its own
+   */
+  _buildFacetAggregations(builtFilters) {
+    const scopedTo = (facet, aggregation) => ({
+      filter: { bool: { filter: this._facetFilters(builtFilters, facet).map(f => f.clause) } },
+      aggs: { buckets: aggregation },
     });
 
-    return results;
+    return {
+      categories: scopedTo('categories', {
+        terms: { field: 'category_id', size: config.search.categoryFacetSize },
+      }),
+      price: scopedTo('price', {
+        range: { field: 'price', ranges: this._priceRanges() },
+      }),
+      stars: scopedTo('stars', {
+        range: { field: 'stars', ranges: STAR_RANGES },
+      }),
+      bestSeller: scopedTo('bestSeller', {
+        filter: { term: { isBestSeller: true } },
+      }),
+    };
+  }
+
+  /**
+   * Price facet buckets derived from the configured boundaries
+   */
+  _priceRanges() {
+    return rangesFromBoundaries(config.search.priceFacetBoundaries);
+  }
+
+  /**
+   * Convert Elasticsearch facet aggregations into the response facet shape
+   */
+  _formatElasticsearchFacets(aggregations) {
+    const { categories, price, stars, bestSeller } = aggregations;
+
+    // Range buckets come back in the order they were requested
+    return this._formatFacets({
+      categories: categories.buckets.buckets.map(b => ({ key: b.key, count: b.doc_count })),
+      price: this._priceRanges().map((range, i) => ({
+        ...range,
+        count: price.buckets.buckets[i].doc_count,
+      })),
+      stars: STAR_RANGES.map((range, i) => ({
+        ...range,
+        count: stars.buckets.buckets[i].doc_count,
+      })),
+      bestSeller: bestSeller.buckets.doc_count,
+    });
+  }
+
+  /**
+   * Compute the same facets as _buildFacetAggregations over in-memory products
+   * Filters without a facet are part of the Elasticsearch query, so they narrow every facet.
+   */
+  _computeFallbackFacets(candidates, builtFilters) {
+    const queryFilters = builtFilters.filter(f => !f.facet);
+    const matching = candidates.filter(product => queryFilters.every(f => f.test(product)));
+
+    const scopedTo = (facet) => {
+      const scopedFilters = this._facetFilters(builtFilters, facet);
+      return matching.filter(product => scopedFilters.every(f => f.test(product)));
+    };
+
+    return this._formatFacets({
+      categories: countTerms(scopedTo('categories'), 'category_id'),
+      price: countRanges(scopedTo('price'), 'price', this._priceRanges()),
+      stars: countRanges(scopedTo('stars'), 'stars', STAR_RANGES),
+      bestSeller: scopedTo('bestSeller').filter(product => product.isBestSeller).length,
+    });
+  }
+
+  /**
+   * Shape raw facet counts for the response, naming categories via CategoryService
+   */
+  _formatFacets({ categories, price, stars, bestSeller }) {
+    return {
+      categories: categories.map(({ key, count }) => ({
+        id: key,
+        name: this.categoryService?.getCategoryById(key)?.name ?? null,
+        count,
+      })),
+      price: price.map(({ key, from, to, count }) => ({ key, from, to, count })),
+      stars: stars.map(({ key, from, count }) => ({ key, from, count })),
+      bestSeller: { count: bestSeller },
+    };
+  }
+
+  /**
+   * Turn a cursor token into walk state: {} for a new walk, or the decoded cursor
+   */
+  _resolveCursor(cursor, fingerprint) {
+    if (cursor === START_CURSOR) {
+      return {};
+    }
+
+    const state = decodeCursor(cursor);
+
+    if (state.fp !== fingerprint) {
+      throw new BadRequestError('Cursor does not match this search', {
+        message: 'Cursors can only be used with the query, filters and sort that created them',
+      });
+    }
+
+    return state;
+  }
+
+  /**
+   * Point-in-time keep alive derived from the cursor TTL, e.g. "300s"
+   */
+  _cursorKeepAlive() {
+    return `${Math.ceil(config.search.cursorTtlMs / 1000)}s`;
+  }
+
+  /**
+   * Build the cursor for the page after an Elasticsearch PIT response,
+   * closing the point in time once the walk is exhausted
+   */
+  async _nextElasticsearchCursor(response, limit, fingerprint) {
+    const { hits } = response.hits;
+
+    if (hits.length < limit) {
+      try {
+        await this.esClient.closePointInTime({ id: response.pit_id });
+      } catch (error) {
+        this.logger.debug('Failed to close point in time', { error: error.message });
+      }
+      return null;
+    }
+
+    return encodeCursor({
+      b: 'es',
+      pit: response.pit_id,
+      after: hits[hits.length - 1].sort,
+      fp: fingerprint,
+      exp: Date.now() + config.search.cursorTtlMs,
+    });
+  }
+
+  /**
+   * Fallback in-memory search if Elasticsearch fails
+   *
+   * Paginates the same way as the Elasticsearch path so both return { results, total, facets },
+   * including search_after style cursors over the same sort tuple
+   */
+  _fallbackSearch(query, filters = {}, options = {}) {
+    const {
+      page = 1,
+      limit = config.search.defaultLimit,
+      sort = DEFAULT_SORT_MODE,
+      cursorState = null,
+      parsedQuery = parseQuery(query),
+      mode = config.search.defaultMatchMode,
+      profile = config.ranking.defaultProfile,
+      merchandising = this._getMerchandising(parsedQuery, sort),
+    } = options;
+    const { actions } = merchandising;
+    const sortKeys = getSortKeys(sort);
+
+    const builtFilters = [...this._buildFilters(filters), ...this._buildQueryFilters(parsedQuery.fields)];
+
+    let candidates = [...this.products];
+
+    // Filter by search text or any of its synonym variants
+    if (parsedQuery.text) {
+      const variants = this._expandQuery(parsedQuery.text);
+      candidates = candidates.filter(product =>
+        variants.some(variant => this._matchesText(product, variant, mode))
+      );
+    }
+
+    // Apply quoted phrases and exclusions to the title words
+    const matchesPhrases = product =>
+      parsedQuery.phrases.every(phrase => this._titleHasPhrase(product, phrase)) &&
+      !parsedQuery.excluded.some(phrase => this._titleHasPhrase(product, phrase));
+    candidates = candidates.filter(matchesPhrases);
+
+    // Pinned products skip the text match but not the phrases, like the Elasticsearch pinned query
+    if (actions.pin.length > 0) {
+      candidates = [
+        ...candidates,
+        ...this.products.filter(product =>
+          actions.pin.includes(product.asin) && !candidates.includes(product) && matchesPhrases(product)
+        ),
+      ];
+    }
+
+    // Merchandising scores order the relevance sort, which otherwise has no scores here
+    if (merchandising.appliedRules.length > 0) {
+      candidates = candidates.map(product => ({ ...product, _score: this._merchandisingScore(product, actions) }));
+    }
+
+    // Apply the same filters as Elasticsearch
+    const results = candidates.filter(product => builtFilters.every(f => f.test(product)));
+    const facets = options.facets === false ? null : this._computeFallbackFacets(candidates, builtFilters);
+
+    // Sort results the same way as Elasticsearch
+    results.sort((a, b) =>
+      compareSortValues(sortValues(a, sortKeys), sortValues(b, sortKeys), sortKeys)
+    );
+
+    const total = results.length;
+
+    if (!cursorState) {
+      const from = (page - 1) * limit;
+
+      return {
+        results: this._highlightFallbackResults(results.slice(from, from + limit), parsedQuery, options),
+        total,
+        facets,
+        appliedRules: merchandising.appliedRules,
+        backend: 'memory',
+      };
+    }
+
+    // Sort values of an ES cursor include scores this engine cannot reproduce
+    if (cursorState.b === 'es') {
+      throw new BadRequestError('Cursor is no longer valid', {
+        message: `The search backend changed during the walk; start a new walk with cursor=${START_CURSOR}`,
+      });
+    }
+
+    const remaining = cursorState.after
+      ? results.filter(product =>
+        compareSortValues(sortValues(product, sortKeys), cursorState.after, sortKeys) > 0
+      )
+      : results;
+    const pageResults = remaining.slice(0, limit);
+
+    return {
+      results: this._highlightFallbackResults(pageResults, parsedQuery, options),
+      total,
+      facets,
+      appliedRules: merchandising.appliedRules,
+      backend: 'memory',
+      cursor: remaining.length > limit
+        ? encodeCursor({
+          b: 'memory',
+          after: sortValues(pageResults[pageResults.length - 1], sortKeys),
+          fp: searchFingerprint({ query, filters, sort, mode, profile }),
+          exp: Date.now() + config.search.cursorTtlMs,
+        })
+        : null,
+    };
+  }
+
+  /**
+   * Lowercase query plus its synonym variants, mirroring the synonym_graph search analyzer
+   */
+  _expandQuery(query) {
+    const lowerQuery = query.toLowerCase();
+
+    if (!this.synonymService) {
+      return [lowerQuery];
+    }
+
+    return [...new Set([lowerQuery, ...this.synonymService.expandQuery(query)])].filter(Boolean);
+  }
+
+  /**
+   * Whether a product matches search text under a match mode, like the multi_match on title and asin
+   *
+   * Terms are compared whole (no fuzziness); the ASIN keyword can only satisfy a single term.
+   */
+  _matchesText(product, text, mode) {
+    const terms = tokenize(text);
+    const asin = product.asin.toLowerCase();
+
+    if (mode === 'phrase') {
+      return this._titleHasPhrase(product, terms.join(' ')) || terms.join(' ') === asin;
+    }
+
+    const titleTokens = new Set(tokenize(product.title));
+    const required = requiredMatches(mode, terms.length);
+
+    return terms.filter(term => titleTokens.has(term)).length >= required ||
+      (required === 1 && terms.includes(asin));
+  }
+
+  /**
+   * Whether a product title contains a normalized phrase as whole words
+   */
+  _titleHasPhrase(product, phrase) {
+    return ` ${tokenize(product.title).join(' ')} `.includes(` ${phrase} `);
+  }
+
+  /**
+   * Add `_highlight` title fragments to fallback results, shaped like ES highlight output
+   */
+  _highlightFallbackResults(results, parsedQuery, options) {
+    const text = [parsedQuery.text, ...parsedQuery.phrases].join(' ').trim();
+
+    if (!options.highlight || !text) {
+      return results;
+    }
+
+    const terms = [...new Set(this._expandQuery(text).flatMap(tokenize))];
+
+    return results.map(product => {
+      const title = highlightText(product.title, terms, options.highlight);
+      return title ? { ...product, _highlight: { title: [title] } } : product;
+    });
+  }
+
+  /**
+   * "Did you mean" correction for a query, or null when nothing better is known
+   *
+   * Uses the ES phrase suggester when the search itself was served by Elasticsearch,
+   * otherwise (or if the suggester fails) the in-memory vocabulary.
+   */
+  async _suggestCorrection(query, backend) {
+    let suggestion = null;
+
+    if (backend === 'elasticsearch') {
+      try {
+        const response = await this.esClient.search({
+          index: this.indexName,
+          body: {
+            size: 0,
+            suggest: {
+              text: query,
+              correction: {
+                phrase: {
+                  field: 'title.shingle',
+                  size: 1,
+                  gram_size: 3,
+                  direct_generator: [
+                    { field: 'title.shingle', suggest_mode: 'missing' },
+                  ],
+                },
+              },
+            },
+          },
+        });
+
+        suggestion = response.suggest?.correction?.[0]?.options?.[0]?.text ?? null;
+      } catch (error) {
+        this.logger.warn('Elasticsearch phrase suggester failed, using in-memory vocabulary', {
+          error: error.message,
+          query,
+        });
+        suggestion = this._fallbackSuggestCorrection(query);
+      }
+    } else {
+      suggestion = this._fallbackSuggestCorrection(query);
+    }
+
+    if (!suggestion || suggestion.toLowerCase() === query.trim().toLowerCase()) {
+      return null;
+    }
+
+    this.logger.debug('Spelling suggestion generated', { query, suggestion });
+    return suggestion;
+  }
+
+  /**
+   * Replace query tokens missing from the title vocabulary with the closest known token
+   */
+  _fallbackSuggestCorrection(query) {
+    const vocabulary = this._getTitleVocabulary();
+    let changed = false;
+
+    const corrected = tokenize(query).map(token => {
+      if (vocabulary.has(token)) {
+        return token;
+      }
+
+      let best = null;
+      let bestDistance = autoFuzziness(token) + 1;
+
+      vocabulary.forEach((frequency, term) => {
+        const distance = editDistance(token, term);
+        if (distance < bestDistance || (distance === bestDistance && best && frequency > vocabulary.get(best))) {
+          best = term;
+          bestDistance = distance;
+        }
+      });
+
+      if (!best) {
+        return token;
+      }
+
+      changed = true;
+      return best;
+    });
+
+    return changed ? corrected.join(' ') : null;
+  }
+
+  /**
+   * Lazily build the title token -> frequency map used for spelling correction
+   */
+  _getTitleVocabulary() {
+    if (!this.titleVocabulary) {
+      this.titleVocabulary = new Map();
+      this.products.forEach(product =>
+        tokenize(product.title).forEach(token =>
+          this.titleVocabulary.set(token, (this.titleVocabulary.get(token) || 0) + 1)
+        )
+      );
+    }
+
+    return this.titleVocabulary;
   }
 
   /**
@@ -275,13 +1480,15 @@ class ProductService {
 
   /**
    * Index a single product in Elasticsearch
+   * With vector search enabled, a precomputed `embedding` of VECTOR_DIMS numbers is stored as
+   * given, otherwise one is computed from the title by the configured embedder.
    */
   async indexProduct(product) {
     try {
       await this.esClient.index({
         index: this.indexName,
         id: product.asin, // Use ASIN as document ID
-        body: {
+        body: await this._withEmbedding(withDiscount({
           ...product,
           price: parseFloat(product.price),
           listPrice: parseFloat(product.listPrice),
@@ -291,7 +1498,7 @@ class ProductService {
           boughtInLastMonth: parseInt(product.boughtInLastMonth),
           isBestSeller: product.isBestSeller === 'True' || product.isBestSeller === true,
           indexedAt: new Date(),
-        },
+        })),
         refresh: true, // Make immediately searchable
       });
 
@@ -316,21 +1523,23 @@ class ProductService {
   async indexAllProducts() {
     this.logger.info('Indexing all products in Elasticsearch');
 
-    const operations = this.products.flatMap(product => [
-      { index: { _index: this.indexName, _id: product.asin } },
-      { 
-        ...product, 
+    try {
+      // Precomputed embeddings are kept; missing ones are computed when vector search is enabled
+      const documents = await Promise.all(this.products.map(product => this._withEmbedding(withDiscount({
+        ...product,
         price: parseFloat(product.price),
         listPrice: parseFloat(product.listPrice),
         stars: parseFloat(product.stars),
         reviews: parseInt(product.reviews),
         category_id: parseInt(product.category_id),
         boughtInLastMonth: parseInt(product.boughtInLastMonth),
-        indexedAt: new Date() 
-      },
-    ]);
+        indexedAt: new Date(),
+      }))));
+      const operations = documents.flatMap(document => [
+        { index: { _index: this.indexName, _id: document.asin } },
+        document,
+      ]);
 
-    try {
       const response = await this.esClient.bulk({
         body: operations,
         refresh: true,
@@ -445,6 +1654,183 @@ class ProductService {
         .slice(0, limit);
     }
   }
+
+  /**
+   * Suggest product titles and categories for a search-as-you-type prefix
+   *
+   * Every token of the prefix must start a word of the title. Elasticsearch gets a tight
+   * timeout; when it is slow or down the in-memory prefix trie answers instead.
+   */
+  async suggest(prefix, limit = config.suggest.defaultLimit) {
+    const startTime = Date.now();
+    let products;
+
+    try {
+      const response = await this.esClient.search({
+        index: this.indexName,
+        body: {
+          query: {
+            match: {
+              'title.autocomplete': { query: prefix, operator: 'and' },
+            },
+          },
+          sort: [
+            { _score: { order: 'desc' } },
+            { boughtInLastMonth: { order: 'desc' } },
+          ],
+          _source: ['asin', 'title'],
+          size: limit,
+          timeout: `${config.suggest.timeoutMs}ms`,
+        },
+      }, {
+        requestTimeout: config.suggest.timeoutMs,
+        maxRetries: 0, // A retry would blow the latency budget
+      });
+
+      products = response.hits.hits.map(hit => ({
+        asin: hit._source.asin,
+        title: hit._source.title,
+      }));
+    } catch (error) {
+      this.logger.warn('Elasticsearch suggest failed, using prefix trie', {
+        error: error.message,
+        prefix,
+      });
+
+      products = this._fallbackSuggest(prefix, limit);
+    }
+
+    const categories = this.categoryService
+      ? this.categoryService.findCategoriesByPrefix(prefix, limit)
+      : [];
+
+    this.logger.debug('Suggestions generated', {
+      prefix,
+      productCount: products.length,
+      categoryCount: categories.length,
+      duration: `${Date.now() - startTime}ms`,
+    });
+
+    return { products, categories };
+  }
+
+  /**
+   * Prefix-trie suggestions over in-memory products, mirroring the edge n-gram AND match
+   */
+  _fallbackSuggest(prefix, limit) {
+    const tokens = tokenize(prefix);
+
+    if (tokens.length === 0) {
+      return [];
+    }
+
+    const trie = this._getSuggestTrie();
+    const matches = tokens
+      .map(token => trie.find(token))
+      .reduce((acc, set) => new Set([...acc].filter(product => set.has(product))));
+
+    return [...matches]
+      .sort((a, b) => b.boughtInLastMonth - a.boughtInLastMonth)
+      .slice(0, limit)
+      .map(({ asin, title }) => ({ asin, title }));
+  }
+
+  /**
+   * Lazily build the title token trie used by _fallbackSuggest
+   */
+  _getSuggestTrie() {
+    if (!this.suggestTrie) {
+      this.suggestTrie = new PrefixTrie();
+      this.products.forEach(product =>
+        tokenize(product.title).forEach(token => this.suggestTrie.insert(token, product))
+      );
+    }
+
+    return this.suggestTrie;
+  }
+
+  /**
+   * "More like this" products for a product page
+   *
+   * Similar products share title terms with the source product, cost within the configured
+   * price band around it and rank higher in the same category. Returns null when the source
+   * product does not exist.
+   */
+  async findSimilarProducts(asin, limit = config.similar.defaultLimit) {
+    const source = await this.getProductByIdFromES(asin);
+
+    if (!source) {
+      return null;
+    }
+
+    const priceRange = {
+      gte: source.price * (1 - config.similar.priceBand),
+      lte: source.price * (1 + config.similar.priceBand),
+    };
+
+    try {
+      const response = await this.esClient.search({
+        index: this.indexName,
+        body: {
+          query: {
+            bool: {
+              must: [{
+                more_like_this: {
+                  fields: ['title'],
+                  like: source.title,
+                  min_term_freq: 1,
+                  min_doc_freq: 1, // Small catalogs would otherwise drop most terms
+                  max_query_terms: 25,
+                  minimum_should_match: '30%',
+                },
+              }],
+              should: [{ term: { category_id: { value: source.category_id, boost: SAME_CATEGORY_BOOST } } }],
+              filter: [{ range: { price: priceRange } }],
+              must_not: [{ term: { asin: source.asin } }],
+            },
+          },
+          size: limit,
+        },
+      });
+
+      return {
+        results: response.hits.hits.map(hit => ({ ...hit._source, _score: hit._score, _id: hit._id })),
+        backend: 'elasticsearch',
+      };
+    } catch (error) {
+      this.logger.warn('Elasticsearch more_like_this failed, using token overlap', {
+        error: error.message,
+        asin,
+      });
+
+      return {
+        results: this._fallbackSimilarProducts(source, priceRange, limit),
+        backend: 'memory',
+      };
+    }
+  }
+
+  /**
+   * Rank in-memory products by title token overlap with the source product
+   */
+  _fallbackSimilarProducts(source, priceRange, limit) {
+    const sourceTokens = tokenize(source.title);
+
+    return this.products
+      .filter(product =>
+        product.asin !== source.asin &&
+        product.price >= priceRange.gte &&
+        product.price <= priceRange.lte
+      )
+      .map(product => ({
+        ...product,
+        _score: tokenOverlap(sourceTokens, tokenize(product.title)) *
+          (product.category_id === source.category_id ? SAME_CATEGORY_BOOST : 1),
+      }))
+      .filter(product => product._score > 0)
+      .sort((a, b) => b._score - a._score || a.asin.localeCompare(b.asin))
+      .slice(0, limit);
+  }
 }
 
 export default ProductService;
\ No newline at end of file
@@ -0,0 +1,127 @@
+/**
+ * Redirect Service
+ * Manages query redirects (send a search to a URL) and rewrites (replace its query and filters)
+ * stored in a local JSON file
+ *
+ * Copyright 2025
+ * Licensed under the Apache License, Version 2.0
+ */
+
+import crypto from 'crypto';
+import config from '../config/index.js';
+import JsonFileStore from '../utils/json-file-store.js';
+import { ruleMatchesQuery } from '../utils/merchandising.js';
+
+class RedirectService {
+  constructor(logger) {
+    this.logger = logger;
+    this.store = new JsonFileStore(config.redirects.file);
+    this.pendingUpdate = Promise.resolve();
+    this._loadRules();
+  }
+
+  _loadRules() {
+    try {
+      this.rules = this.store.load();
+      this.logger.info('Query redirects loaded', { file: this.store.filePath, count: this.rules.length });
+    } catch (error) {
+      this.logger.warn('Failed to load query redirects, starting without redirects', {
+        file: this.store.filePath,
+        error: error.message,
+      });
+      this.rules = [];
+    }
+  }
+
+  /**
+   * Replace the rules with change(rules), saving the file first, one update at a time
+   */
+  _update(change) {
+    const update = this.pendingUpdate.then(async () => {
+      const rules = change(this.rules);
+      await this.store.save(rules);
+      this.rules = rules;
+    });
+
+    this.pendingUpdate = update.catch(() => {});
+    return update;
+  }
+
+  /**
+   * Get all redirect and rewrite rules
+   */
+  getRules() {
+    return this.rules;
+  }
+
+  /**
+   * Add a rule and save the redirects file
+   */
+  async createRule(definition) {
+    const rule = { id: crypto.randomUUID(), ...definition, createdAt: new Date().toISOString() };
+
+    await this._update(rules => [...rules, rule]);
+
+    this.logger.info('Query redirect created', { id: rule.id, query: rule.query });
+    return rule;
+  }
+
+  /**
+   * Replace a rule's definition, returning null when it does not exist
+   */
+  async updateRule(id, definition) {
+    let updated = null;
+
+    await this._update(rules => rules.map(rule => {
+      if (rule.id !== id) {
+        return rule;
+      }
+
+      updated = { id, ...definition, createdAt: rule.createdAt, updatedAt: new Date().toISOString() };
+      return updated;
+    }));
+
+    if (updated) {
+      this.logger.info('Query redirect updated', { id, query: updated.query });
+    }
+
+    return updated;
+  }
+
+  /**
+   * Delete a rule, returning false when it does not exist
+   */
+  async deleteRule(id) {
+    let deleted = false;
+
+    await this._update(rules => {
+      deleted = rules.some(rule => rule.id === id);
+      return rules.filter(rule => rule.id !== id);
+    });
+
+    if (deleted) {
+      this.logger.info('Query redirect deleted', { id });
+    }
+
+    return deleted;
+  }
+
+  /**
+   * First rule matching a search query, or null; every hit is logged
+   */
+  findRule(query) {
+    const rule = this.rules.find(candidate => ruleMatchesQuery(candidate, query)) ?? null;
+
+    if (rule) {
+      this.logger.info('Query redirect hit', {
+        id: rule.id,
+        type: rule.redirect ? 'redirect' : 'rewrite',
+        query,
+      });
+    }
+
+    return rule;
+  }
+}
+
+export default RedirectService;
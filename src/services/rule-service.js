@@ -0,0 +1,101 @@
+/**
+ * Rule Service
+ * Manages merchandising rules (pin, boost and bury products per query) stored in a local JSON file
+ *
+ * Copyright 2025
+ * Licensed under the Apache License, Version 2.0
+ */
+
+import crypto from 'crypto';
+import config from '../config/index.js';
+import JsonFileStore from '../utils/json-file-store.js';
+import { ruleMatchesQuery, isRuleActive } from '../utils/merchandising.js';
+
+class RuleService {
+  constructor(logger) {
+    this.logger = logger;
+    this.store = new JsonFileStore(config.rules.file);
+    this.pendingUpdate = Promise.resolve();
+    this._loadRules();
+  }
+
+  _loadRules() {
+    try {
+      this.rules = this.store.load();
+      this.logger.info('Merchandising rules loaded', { file: this.store.filePath, count: this.rules.length });
+    } catch (error) {
+      this.logger.warn('Failed to load merchandising rules, starting without rules', {
+        file: this.store.filePath,
+        error: error.message,
+      });
+      this.rules = [];
+    }
+  }
+
+  /**
+   * Replace the rules with change(rules), saving the file first
+   * Updates run one at a time so concurrent requests cannot overwrite each other's changes.
+   */
+  _update(change) {
+    const update = this.pendingUpdate.then(async () => {
+      const rules = change(this.rules);
+      await this.store.save(rules);
+      this.rules = rules;
+    });
+
+    this.pendingUpdate = update.catch(() => {});
+    return update;
+  }
+
+  /**
+   * Get all rules, including inactive ones
+   */
+  getRules() {
+    return this.rules;
+  }
+
+  /**
+   * Add a rule and save the rule file
+   */
+  async createRule(definition) {
+    const rule = {
+      id: crypto.randomUUID(),
+      ...definition,
+      startDate: definition.startDate?.toISOString(),
+      endDate: definition.endDate?.toISOString(),
+      createdAt: new Date().toISOString(),
+    };
+
+    await this._update(rules => [...rules, rule]);
+
+    this.logger.info('Merchandising rule created', { id: rule.id, name: rule.name, query: rule.query });
+    return rule;
+  }
+
+  /**
+   * Delete a rule, returning false when it does not exist
+   */
+  async deleteRule(id) {
+    let deleted = false;
+
+    await this._update(rules => {
+      deleted = rules.some(rule => rule.id === id);
+      return rules.filter(rule => rule.id !== id);
+    });
+
+    if (deleted) {
+      this.logger.info('Merchandising rule deleted', { id });
+    }
+
+    return deleted;
+  }
+
+  /**
+   * Rules that are currently active and match the search text, in creation order
+   */
+  findActiveRules(text, now = new Date()) {
+    return this.rules.filter(rule => isRuleActive(rule, now) && ruleMatchesQuery(rule, text));
+  }
+}
+
+export default RuleService;
@@ -0,0 +1,128 @@
+/**
+ * Synonym Service
+ * Manages search synonyms stored in a local file and pushed to the Elasticsearch synonyms set
+ * 
+ * Copyright 2025
+ * Licensed under the Apache License, Version 2.0
+ */
+
+import fs from 'fs';
+import path from 'path';
+import elasticsearchClient from '../config/elasticsearch.js';
+import config from '../config/index.js';
+import { BadRequestError } from '../utils/errors.js';
+import { parseSynonymRule, parseSynonymsFile, expandQuery } from '../utils/synonyms.js';
+
+const FILE_HEADER = [
+  '# Product search synonyms (Solr format), managed through /api/admin/synonyms',
+  '#',
+  '# Equivalent terms:  luggage, suitcase',
+  '# One-way mapping:   suitcase => luggage',
+];
+
+class SynonymService {
+  constructor(logger) {
+    this.logger = logger;
+    this.esClient = elasticsearchClient;
+    this.filePath = config.synonyms.file;
+    this.setId = config.synonyms.setId;
+    this.pendingUpdate = Promise.resolve();
+    this._loadRules();
+  }
+
+  _loadRules() {
+    try {
+      this.rules = parseSynonymsFile(fs.readFileSync(this.filePath, 'utf8'));
+      this.logger.info('Synonyms loaded', { file: this.filePath, count: this.rules.length });
+    } catch (error) {
+      this.logger.warn('Failed to load synonyms file, starting without synonyms', {
+        file: this.filePath,
+        error: error.message,
+      });
+      this.rules = [];
+    }
+  }
+
+  /**
+   * Get all synonym rules
+   */
+  getSynonyms() {
+    return this.rules;
+  }
+
+  /**
+   * Replace all synonym rules
+   *
+   * The file is the source of truth; the Elasticsearch synonyms set is updated after it,
+   * which reloads the search analyzers without reindexing. Returns whether ES was updated.
+   * Updates run one at a time so the file and the synonyms set always end up with the last one.
+   */
+  async updateSynonyms(rules) {
+    const normalizedRules = rules.map(rule => rule.trim());
+    const invalid = normalizedRules
+      .map((rule, index) => ({ rule, index }))
+      .filter(({ rule }) => !parseSynonymRule(rule));
+
+    if (invalid.length > 0) {
+      throw new BadRequestError('Invalid synonym rules', {
+        message: 'Rules must look like "a, b, c" or "a, b => c"',
+        invalid,
+      });
+    }
+
+    const update = this.pendingUpdate.then(async () => {
+      await this._saveRules(normalizedRules);
+      this.rules = normalizedRules;
+
+      this.logger.info('Synonyms updated', { count: normalizedRules.length });
+
+      const reloaded = await this.pushToElasticsearch();
+
+      return { synonyms: normalizedRules, reloaded };
+    });
+
+    this.pendingUpdate = update.catch(() => {});
+    return update;
+  }
+
+  /**
+   * Write the synonyms file by renaming a complete temporary copy over it
+   */
+  async _saveRules(rules) {
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.writeFile(tempPath, [...FILE_HEADER, ...rules, ''].join('\n'));
+    await fs.promises.rename(tempPath, this.filePath);
+  }
+
+  /**
+   * Replace the Elasticsearch synonyms set with the current rules
+   */
+  async pushToElasticsearch() {
+    try {
+      await this.esClient.synonyms.putSynonym({
+        id: this.setId,
+        synonyms_set: this.rules.map((synonyms, i) => ({ id: `rule-${i + 1}`, synonyms })),
+      });
+
+      this.logger.info('Elasticsearch synonyms set updated', { setId: this.setId });
+      return true;
+    } catch (error) {
+      this.logger.warn('Failed to update Elasticsearch synonyms set', {
+        setId: this.setId,
+        error: error.message,
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Expand a query with synonyms for the in-memory fallback search
+   */
+  expandQuery(query) {
+    return expandQuery(query, this.rules);
+  }
+}
+
+export default SynonymService;
@@ -45,8 +45,24 @@ const swaggerDefinition = {
       name: 'Categories',
       description: 'Product category operations',
     },
+    {
+      name: 'Events',
+      description: 'Click and conversion tracking on search results',
+    },
+    {
+      name: 'Admin',
+      description: 'Search administration (requires the X-Admin-Key header)',
+    },
   ],
   components: {
+    securitySchemes: {
+      AdminKey: {
+        type: 'apiKey',
+        in: 'header',
+        name: 'X-Admin-Key',
+        description: 'Value of ADMIN_API_KEY',
+      },
+    },
     schemas: {
       Product: {
         type: 'object',
@@ -99,6 +115,23 @@ const swaggerDefinition = {
             description: 'Original/list price in USD',
             example: 179.99,
           },
+          discountAmount: {
+            type: 'number',
+            format: 'float',
+            description: 'Amount off the list price in USD (0 when not on sale)',
+            example: 40,
+          },
+          discountPercent: {
+            type: 'number',
+            format: 'float',
+            description: 'Percentage off the list price (0 when not on sale)',
+            example: 25.0,
+          },
+          onSale: {
+            type: 'boolean',
+            description: 'Whether the price is below a known list price',
+            example: true,
+          },
           category_id: {
             type: 'integer',
             description: 'Product category identifier',
@@ -120,27 +153,576 @@ const swaggerDefinition = {
             description: 'Elasticsearch relevance score (only in search results)',
             example: 2.456789,
           },
+          _highlight: {
+            type: 'object',
+            description: 'Highlighted fragments (only in search results with highlight=true)',
+            properties: {
+              title: {
+                type: 'array',
+                items: { type: 'string' },
+                example: ['Samsonite Omni PC Hardside Expandable <em>Luggage</em> with Spinner Wheels'],
+              },
+            },
+          },
         },
       },
       SearchResponse: {
         type: 'object',
         properties: {
+          searchId: {
+            type: 'string',
+            format: 'uuid',
+            description: 'Identifies this search in click and conversion events sent to /api/events',
+          },
           results: {
             type: 'array',
             items: {
               $ref: '#/components/schemas/Product',
             },
           },
+          sort: {
+            type: 'string',
+            description: 'Sort order applied to the results',
+            example: 'relevance',
+          },
+          mode: {
+            type: 'string',
+            description: 'Match mode applied to the query terms',
+            example: 'any',
+          },
+          profile: {
+            type: 'string',
+            description: 'Ranking profile applied to relevance scores',
+            example: 'balanced',
+          },
+          pagination: {
+            $ref: '#/components/schemas/Pagination',
+          },
+          cursor: {
+            type: 'string',
+            nullable: true,
+            description: 'Cursor for the next page (only when paging with cursor); null once the walk is exhausted',
+          },
+          query: {
+            type: 'string',
+            description: 'Search query used',
+            example: 'luggage',
+          },
+          facets: {
+            $ref: '#/components/schemas/Facets',
+          },
+          redirect: {
+            type: 'object',
+            description: 'Present when a redirect rule matched; the search was not run and there are no results',
+            properties: {
+              url: { type: 'string', example: '/help/returns' },
+              ruleId: { type: 'string' },
+            },
+          },
+          rewrite: {
+            type: 'object',
+            description: 'Present when a rewrite rule matched, with the query and filters that were actually searched',
+            properties: {
+              query: { type: 'string' },
+              filters: { type: 'object' },
+              ruleId: { type: 'string' },
+            },
+          },
+          appliedRules: {
+            type: 'array',
+            description: 'Merchandising rules that changed the ranking of this search',
+            items: {
+              $ref: '#/components/schemas/AppliedRule',
+            },
+          },
+          suggestion: {
+            type: 'string',
+            nullable: true,
+            description: '"Did you mean" correction, present when the query found few results',
+            example: 'samsonite luggage',
+          },
+          autoCorrected: {
+            type: 'boolean',
+            description: 'Present and true when the corrected query was run instead (autoCorrect=true)',
+          },
+          correctedQuery: {
+            type: 'string',
+            description: 'Query that was actually run when autoCorrected is true',
+          },
+          totalCapped: {
+            type: 'boolean',
+            description: 'Present and true when mode=hybrid found more matches than it ranks; pagination.total counts the ranked ones',
+          },
+          debug: {
+            type: 'object',
+            description: 'Present with debug=true or queryProfile=true (admin only); describes the search whose results were returned',
+            properties: {
+              backend: { type: 'string', enum: ['elasticsearch', 'memory'] },
+              fallback: { type: 'boolean', description: 'Whether Elasticsearch failed and the in-memory engine answered' },
+              took: { type: 'integer', nullable: true, description: 'Elasticsearch took time in milliseconds' },
+              request: {
+                type: 'object',
+                description: 'The exact request sent to Elasticsearch: index and body',
+              },
+              profile: { type: 'object', description: 'Elasticsearch profile API output (queryProfile=true)' },
+              error: { type: 'string', description: 'Why Elasticsearch failed, when the fallback was used' },
+            },
+          },
+          relaxed: {
+            type: 'object',
+            nullable: true,
+            description: 'With relax=true and no matches: the looser search that was run instead, or null when even the loosest search found nothing',
+            properties: {
+              query: { type: 'string', example: 'samsonite' },
+              mode: { type: 'string', example: 'any' },
+              filters: {
+                type: 'object',
+                description: 'Filters still applied',
+                example: { maxPrice: 40 },
+              },
+              steps: {
+                type: 'array',
+                description: 'Constraints given up, in order',
+                items: {
+                  type: 'object',
+                  properties: {
+                    constraint: { type: 'string', enum: ['stars', 'price', 'category', 'text'] },
+                    action: { type: 'string', enum: ['dropped', 'widened', 'loosened'] },
+                    from: { type: 'object', example: { minStars: '4.9' } },
+                    to: { type: 'object', description: 'New values of widened or loosened constraints' },
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+      SearchRequest: {
+        type: 'object',
+        properties: {
+          query: { type: 'string', default: '', description: 'Search query in the /api/search syntax; empty matches every product', example: 'luggage' },
+          filter: { $ref: '#/components/schemas/FilterExpression' },
+          filters: {
+            type: 'object',
+            description: 'Filters of GET /api/search (category_id, excludeCategory, asin, excludeAsin, minPrice, maxPrice, minStars, isBestSeller, minDiscount, onSale)',
+            example: { minStars: 4 },
+          },
+          sort: { type: 'string', example: 'price_asc' },
+          mode: { type: 'string', example: 'any' },
+          profile: { type: 'string', example: 'balanced' },
+          fields: { type: 'string', example: 'asin,title,price' },
+          page: { type: 'integer', default: 1 },
+          limit: { type: 'integer', default: 10 },
+          cursor: { type: 'string' },
+          autoCorrect: { type: 'boolean', default: false },
+          relax: { type: 'boolean', default: false, description: 'Relaxation loosens `filters` and the query, never `filter`' },
+          highlight: { type: 'boolean', default: false },
+          preTag: { type: 'string', default: '<em>' },
+          postTag: { type: 'string', default: '</em>' },
+          debug: { type: 'boolean', default: false, description: 'Admin only, as for GET /api/search' },
+          queryProfile: { type: 'boolean', default: false, description: 'Admin only, as for GET /api/search' },
+        },
+      },
+      FilterExpression: {
+        type: 'object',
+        description: 'Exactly one of the properties below. Fields: asin, category_id, price, listPrice, discountAmount, discountPercent, stars, reviews, boughtInLastMonth, isBestSeller, onSale. At most 8 levels and 64 nodes.',
+        minProperties: 1,
+        maxProperties: 1,
+        properties: {
+          and: {
+            type: 'array',
+            minItems: 1,
+            items: { $ref: '#/components/schemas/FilterExpression' },
+            description: 'Every expression matches',
+          },
+          or: {
+            type: 'array',
+            minItems: 1,
+            items: { $ref: '#/components/schemas/FilterExpression' },
+            description: 'At least one expression matches',
+          },
+          not: { $ref: '#/components/schemas/FilterExpression' },
+          term: {
+            type: 'object',
+            description: 'One field equal to a value of its type',
+            example: { category_id: 104 },
+          },
+          range: {
+            type: 'object',
+            description: 'One numeric field bounded by gt, gte, lt and/or lte',
+            example: { price: { gte: 20, lt: 100 } },
+          },
+          exists: {
+            type: 'object',
+            description: 'The field has a value',
+            properties: { field: { type: 'string' } },
+            example: { field: 'listPrice' },
+          },
+        },
+      },
+      BatchSearchRequest: {
+        type: 'object',
+        required: ['searches'],
+        properties: {
+          searches: {
+            type: 'array',
+            minItems: 1,
+            description: 'Searches to run, at most SEARCH_MAX_BATCH_SIZE (default 10)',
+            items: {
+              type: 'object',
+              properties: {
+                query: { type: 'string', default: '', description: 'Search query in the /api/search syntax; empty matches every product' },
+                filters: {
+                  type: 'object',
+                  description: 'Filters of /api/search (category_id, excludeCategory, asin, excludeAsin, minPrice, maxPrice, minStars, isBestSeller, minDiscount, onSale)',
+                  example: { category_id: [104], isBestSeller: true },
+                },
+                filter: { $ref: '#/components/schemas/FilterExpression' },
+                sort: { type: 'string', example: 'most_popular' },
+                mode: { type: 'string', example: 'any' },
+                profile: { type: 'string', example: 'popular' },
+                fields: { type: 'string', example: 'asin,title,price,imgUrl' },
+                page: { type: 'integer', default: 1 },
+                limit: { type: 'integer', default: 10 },
+                facets: { type: 'boolean', default: true, description: 'Compute facet counts' },
+              },
+            },
+          },
+        },
+      },
+      BatchSearchResponse: {
+        type: 'object',
+        properties: {
+          responses: {
+            type: 'array',
+            description: 'One entry per search, in request order',
+            items: {
+              allOf: [
+                { $ref: '#/components/schemas/SearchResponse' },
+                {
+                  type: 'object',
+                  properties: {
+                    status: { type: 'integer', description: '200, or the status of the error', example: 200 },
+                    error: { type: 'string', description: 'Present when the search failed' },
+                    message: { type: 'string' },
+                  },
+                },
+              ],
+            },
+          },
+        },
+      },
+      Facets: {
+        type: 'object',
+        description: 'Facet counts; each facet ignores its own filter so alternatives stay selectable',
+        properties: {
+          categories: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                id: { type: 'integer', example: 104 },
+                name: { type: 'string', nullable: true, example: 'Luggage & Travel Gear' },
+                count: { type: 'integer', example: 2 },
+              },
+            },
+          },
+          price: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                key: { type: 'string', example: '100-200' },
+                from: { type: 'number', example: 100 },
+                to: { type: 'number', example: 200 },
+                count: { type: 'integer', example: 2 },
+              },
+            },
+          },
+          stars: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                key: { type: 'string', example: '4+' },
+                from: { type: 'number', example: 4 },
+                count: { type: 'integer', example: 3 },
+              },
+            },
+          },
+          bestSeller: {
+            type: 'object',
+            properties: {
+              count: { type: 'integer', example: 2 },
+            },
+          },
+        },
+      },
+      Pagination: {
+        type: 'object',
+        properties: {
+          page: {
+            type: 'integer',
+            description: 'Current page number',
+            example: 1,
+          },
+          limit: {
+            type: 'integer',
+            description: 'Results per page',
+            example: 10,
+          },
           total: {
             type: 'integer',
-            description: 'Total number of results',
+            description: 'Total number of matching products across all pages',
             example: 42,
           },
+          pages: {
+            type: 'integer',
+            description: 'Total number of pages',
+            example: 5,
+          },
+        },
+      },
+      SuggestResponse: {
+        type: 'object',
+        properties: {
+          prefix: {
+            type: 'string',
+            example: 'samso',
+          },
+          products: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                asin: { type: 'string', example: 'B08N5WRWNW' },
+                title: { type: 'string', example: 'Samsonite Omni PC Hardside Expandable Luggage with Spinner Wheels' },
+              },
+            },
+          },
+          categories: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                id: { type: 'integer', example: 104 },
+                name: { type: 'string', example: 'Luggage & Travel Gear' },
+              },
+            },
+          },
+        },
+      },
+      SynonymList: {
+        type: 'object',
+        required: ['synonyms'],
+        properties: {
+          synonyms: {
+            type: 'array',
+            description: 'Solr-format rules: "a, b, c" for equivalent terms, "a, b => c" for one-way rewrites',
+            items: { type: 'string' },
+            example: ['luggage, suitcase, baggage', 'earphones => earbuds'],
+          },
+        },
+      },
+      MerchandisingRule: {
+        type: 'object',
+        required: ['name', 'query'],
+        properties: {
+          id: {
+            type: 'string',
+            readOnly: true,
+            example: '6f1c2a0e-6a55-4c1e-9a7e-1f2b3c4d5e6f',
+          },
+          name: {
+            type: 'string',
+            example: 'Samsonite luggage campaign',
+          },
           query: {
             type: 'string',
-            description: 'Search query used',
+            description: 'Search text the rule applies to; with match=pattern, * matches anything',
             example: 'luggage',
           },
+          match: {
+            type: 'string',
+            enum: ['exact', 'contains', 'pattern'],
+            default: 'exact',
+          },
+          pin: {
+            type: 'array',
+            description: 'ASINs placed at the top, in this order',
+            items: { type: 'string' },
+            example: ['B08N5WRWNW'],
+          },
+          bury: {
+            type: 'array',
+            description: 'ASINs pushed to the bottom',
+            items: { type: 'string' },
+            example: ['B014TMV5YE'],
+          },
+          boost: {
+            type: 'array',
+            description: 'Products whose title contains the phrase get their score multiplied by factor',
+            items: {
+              type: 'object',
+              properties: {
+                title: { type: 'string', example: 'samsonite' },
+                factor: { type: 'number', default: 2, example: 3 },
+              },
+            },
+          },
+          startDate: {
+            type: 'string',
+            format: 'date-time',
+            description: 'Rule is inactive before this time',
+          },
+          endDate: {
+            type: 'string',
+            format: 'date-time',
+            description: 'Rule is inactive from this time on',
+          },
+          createdAt: {
+            type: 'string',
+            format: 'date-time',
+            readOnly: true,
+          },
+        },
+      },
+      QueryRedirect: {
+        type: 'object',
+        required: ['query'],
+        description: 'Set exactly one of redirect and rewrite',
+        properties: {
+          id: {
+            type: 'string',
+            readOnly: true,
+          },
+          name: {
+            type: 'string',
+            example: 'Returns policy page',
+          },
+          query: {
+            type: 'string',
+            description: 'Search text the rule applies to; with match=pattern, * matches anything',
+            example: 'returns policy',
+          },
+          match: {
+            type: 'string',
+            enum: ['exact', 'contains', 'pattern'],
+            default: 'exact',
+          },
+          redirect: {
+            type: 'string',
+            description: 'URL (absolute or relative) the search is sent to instead of returning results',
+            example: '/help/returns',
+          },
+          rewrite: {
+            type: 'object',
+            description: 'Query and/or filters the search is run with instead',
+            properties: {
+              query: {
+                type: 'string',
+                description: 'Replacement query; an empty string matches every product',
+                example: '',
+              },
+              filters: {
+                type: 'object',
+                description: 'Search filters to set, e.g. category_id',
+                example: { category_id: 201 },
+              },
+            },
+          },
+        },
+      },
+      AnalyticsReport: {
+        type: 'object',
+        properties: {
+          window: {
+            type: 'string',
+            example: '24h',
+          },
+          since: {
+            type: 'string',
+            format: 'date-time',
+            description: 'Start of the report window',
+          },
+          backend: {
+            type: 'string',
+            enum: ['elasticsearch', 'file'],
+            description: 'Store the report was read from: the analytics index, or the local file used while Elasticsearch is unavailable',
+          },
+          queries: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                query: { type: 'string', description: 'Normalized (trimmed, lowercased) query', example: 'wireless earbuds' },
+                count: { type: 'integer', description: 'Searches for the query in the window', example: 42 },
+                maxLatencyMs: { type: 'integer', example: 180 },
+                lastSearchedAt: { type: 'string', format: 'date-time' },
+                avgLatencyMs: { type: 'integer', example: 35 },
+              },
+            },
+          },
+        },
+      },
+      SearchEvent: {
+        type: 'object',
+        required: ['type', 'searchId', 'asin', 'position'],
+        properties: {
+          type: {
+            type: 'string',
+            enum: ['click', 'add_to_cart', 'purchase'],
+          },
+          searchId: {
+            type: 'string',
+            format: 'uuid',
+            description: 'searchId of the search response the product was shown in',
+          },
+          asin: {
+            type: 'string',
+            example: 'B08N5WRWNW',
+          },
+          position: {
+            type: 'integer',
+            minimum: 1,
+            description: '1-based position of the product in the search results, counted across pages',
+            example: 2,
+          },
+          timestamp: {
+            type: 'string',
+            format: 'date-time',
+            readOnly: true,
+          },
+        },
+      },
+      EngagementReport: {
+        type: 'object',
+        properties: {
+          window: { type: 'string', example: '7d' },
+          since: { type: 'string', format: 'date-time' },
+          backend: { type: 'string', enum: ['elasticsearch', 'file'] },
+          queries: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                query: { type: 'string', example: 'luggage' },
+                searches: { type: 'integer', example: 120 },
+                clicks: { type: 'integer', example: 95 },
+                addToCarts: { type: 'integer', example: 20 },
+                purchases: { type: 'integer', example: 8 },
+                clickThroughRate: { type: 'number', description: 'Share of searches with at least one click', example: 0.65 },
+                meanReciprocalRank: { type: 'number', description: 'Mean of 1 / position of the best placed click per search (0 without clicks)', example: 0.52 },
+              },
+            },
+          },
+        },
+      },
+      AppliedRule: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          name: { type: 'string', example: 'Samsonite luggage campaign' },
         },
       },
       Category: {
@@ -0,0 +1,117 @@
+/**
+ * Search Analytics Utilities
+ * Normalizing logged searches and summarizing them and their events into per-query report rows
+ *
+ * Copyright 2025
+ * Licensed under the Apache License, Version 2.0
+ */
+
+// Interactions with a search result that can be tracked through POST /api/events
+export const EVENT_TYPES = ['click', 'add_to_cart', 'purchase'];
+
+const WINDOW_PATTERN = /^(\d+)([mhd])$/;
+
+const WINDOW_UNIT_MS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Form a query is logged and grouped under: trimmed, lowercased, single-spaced
+ */
+export const normalizeQuery = query =>
+  String(query ?? '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Length in milliseconds of a report window such as 30m, 24h or 7d, or null when invalid
+ */
+export const parseWindow = window => {
+  const match = WINDOW_PATTERN.exec(String(window));
+
+  if (!match || Number(match[1]) === 0) {
+    return null;
+  }
+
+  return Number(match[1]) * WINDOW_UNIT_MS[match[2]];
+};
+
+/**
+ * Group logged searches by query into report rows, most searched first
+ */
+export const summarizeQueries = events => {
+  const rows = new Map();
+
+  for (const event of events) {
+    const row = rows.get(event.query) ?? {
+      query: event.query,
+      count: 0,
+      totalLatencyMs: 0,
+      maxLatencyMs: 0,
+      lastSearchedAt: event.timestamp,
+    };
+
+    row.count += 1;
+    row.totalLatencyMs += event.latencyMs;
+    row.maxLatencyMs = Math.max(row.maxLatencyMs, event.latencyMs);
+    if (event.timestamp > row.lastSearchedAt) row.lastSearchedAt = event.timestamp;
+
+    rows.set(event.query, row);
+  }
+
+  return [...rows.values()]
+    .map(({ totalLatencyMs, ...row }) => ({ ...row, avgLatencyMs: Math.round(totalLatencyMs / row.count) }))
+    .sort((a, b) => b.count - a.count || a.query.localeCompare(b.query));
+};
+
+const toRate = value => Math.round(value * 10000) / 10000;
+
+/**
+ * Click-through rate and mean reciprocal rank per query, most searched first
+ *
+ * Events are joined to their search by searchId. A search counts as clicked when any of its
+ * results was clicked, and its reciprocal rank is 1 / position of the best placed click (0 when
+ * nothing was clicked).
+ */
+export const summarizeEngagement = (searches, events) => {
+  const eventsBySearch = new Map();
+  const rows = new Map();
+
+  for (const event of events) {
+    eventsBySearch.set(event.searchId, [...(eventsBySearch.get(event.searchId) ?? []), event]);
+  }
+
+  for (const search of searches.filter(search => search.searchId)) {
+    const searchEvents = eventsBySearch.get(search.searchId) ?? [];
+    const clickPositions = searchEvents.filter(event => event.type === 'click').map(event => event.position);
+    const row = rows.get(search.query) ?? {
+      query: search.query,
+      searches: 0,
+      clickedSearches: 0,
+      reciprocalRankSum: 0,
+      clicks: 0,
+      addToCarts: 0,
+      purchases: 0,
+    };
+
+    row.searches += 1;
+    row.clicks += clickPositions.length;
+    row.addToCarts += searchEvents.filter(event => event.type === 'add_to_cart').length;
+    row.purchases += searchEvents.filter(event => event.type === 'purchase').length;
+
+    if (clickPositions.length > 0) {
+      row.clickedSearches += 1;
+      row.reciprocalRankSum += 1 / Math.min(...clickPositions);
+    }
+
+    rows.set(search.query, row);
+  }
+
+  return [...rows.values()]
+    .map(({ clickedSearches, reciprocalRankSum, ...row }) => ({
+      ...row,
+      clickThroughRate: toRate(clickedSearches / row.searches),
+      meanReciprocalRank: toRate(reciprocalRankSum / row.searches),
+    }))
+    .sort((a, b) => b.searches - a.searches || a.query.localeCompare(b.query));
+};
@@ -0,0 +1,60 @@
+/**
+ * Search Cursors
+ * Opaque tokens carrying the state of a deep pagination walk
+ * 
+ * Copyright 2025
+ * Licensed under the Apache License, Version 2.0
+ */
+
+import crypto from 'crypto';
+import { BadRequestError } from './errors.js';
+
+const CURSOR_VERSION = 1;
+
+/**
+ * Cursor value that starts a new walk
+ */
+export const START_CURSOR = '*';
+
+/**
+ * Short hash identifying everything that decides a search's results and their order
+ * ({ query, filters, sort, mode, profile }), used to stop a cursor from being replayed
+ * against a different search
+ */
+export const searchFingerprint = (search) =>
+  crypto
+    .createHash('sha1')
+    .update(JSON.stringify(search))
+    .digest('base64url')
+    .slice(0, 16);
+
+/**
+ * Encode walk state into an opaque, URL-safe token
+ */
+export const encodeCursor = (state) =>
+  Buffer.from(JSON.stringify({ v: CURSOR_VERSION, ...state })).toString('base64url');
+
+/**
+ * Decode a token produced by encodeCursor, rejecting malformed or expired cursors
+ */
+export const decodeCursor = (token) => {
+  let state;
+
+  try {
+    state = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+  } catch {
+    throw new BadRequestError('Invalid cursor');
+  }
+
+  if (!state || state.v !== CURSOR_VERSION || !Array.isArray(state.after)) {
+    throw new BadRequestError('Invalid cursor');
+  }
+
+  if (!(state.exp > Date.now())) {
+    throw new BadRequestError('Cursor expired', {
+      message: `Start a new walk with cursor=${START_CURSOR}`,
+    });
+  }
+
+  return state;
+};
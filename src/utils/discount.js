@@ -0,0 +1,31 @@
+/**
+ * Discount Helpers
+ * Derived deal fields, computed the same way at ingest time and for in-memory products
+ *
+ * Copyright 2025
+ * Licensed under the Apache License, Version 2.0
+ */
+
+/**
+ * Round to cents / hundredths of a percent
+ */
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Discount of a product off its list price
+ * A listPrice of 0.0 means the product has no list price, so it is never on sale.
+ */
+export const computeDiscount = ({ price, listPrice }) => {
+  const onSale = listPrice > 0 && price > 0 && listPrice > price;
+
+  return {
+    discountAmount: onSale ? round2(listPrice - price) : 0,
+    discountPercent: onSale ? round2(((listPrice - price) / listPrice) * 100) : 0,
+    onSale,
+  };
+};
+
+/**
+ * Copy of a product with discountAmount, discountPercent and onSale added
+ */
+export const withDiscount = (product) => ({ ...product, ...computeDiscount(product) });
@@ -0,0 +1,112 @@
+/**
+ * Embeddings
+ * Pluggable embedders turning product titles and queries into vectors for hybrid search
+ *
+ * Copyright 2025
+ * Licensed under the Apache License, Version 2.0
+ */
+
+import { tokenize } from './text.js';
+
+/**
+ * 32-bit FNV-1a hash of a string
+ */
+const fnv1a = (text) => {
+  let hash = 0x811c9dc5;
+
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+
+  return hash >>> 0;
+};
+
+const normalize = (vector) => {
+  const length = Math.hypot(...vector);
+
+  return length === 0 ? vector : vector.map(value => value / length);
+};
+
+/**
+ * Feature-hashed bag of words and character trigrams, L2-normalized
+ * Deterministic and dependency-free, but lexical: it relates "suitcase" and "suitcases", not
+ * "suitcase" and "luggage". Meant for development and tests until a real model is plugged in.
+ */
+const hashEmbedding = (text, dims) => {
+  const vector = new Array(dims).fill(0);
+  const features = tokenize(text).flatMap(token => {
+    const padded = `#${token}#`;
+    const trigrams = Array.from({ length: Math.max(0, padded.length - 2) }, (_, i) => padded.slice(i, i + 3));
+
+    return [`w:${token}`, ...trigrams.map(trigram => `t:${trigram}`)];
+  });
+
+  for (const feature of features) {
+    const hash = fnv1a(feature);
+    vector[hash % dims] += hash & 0x80000000 ? -1 : 1; // Signed so collisions tend to cancel out
+  }
+
+  return normalize(vector);
+};
+
+/**
+ * Embedders by name (VECTOR_EMBEDDER), each a factory of { dims, embed(text) => Promise<number[]> }
+ * A model-backed embedder, e.g. one calling a local inference server, is added here.
+ */
+export const EMBEDDERS = {
+  hash: ({ dims }) => ({
+    dims,
+    embed: async text => hashEmbedding(text, dims),
+  }),
+};
+
+/**
+ * Create the named embedder, producing vectors of the given dimensions
+ */
+export const createEmbedder = (name, { dims }) => {
+  if (!Object.hasOwn(EMBEDDERS, name)) {
+    throw new Error(`Unknown embedder "${name}"; available: ${Object.keys(EMBEDDERS).join(', ')}`);
+  }
+
+  return EMBEDDERS[name]({ dims });
+};
+
+/**
+ * Whether a value can be stored in an embedding field of the given dimensions
+ */
+export const isEmbedding = (value, dims) =>
+  Array.isArray(value) && value.length === dims && value.every(Number.isFinite);
+
+/**
+ * Copy of a product with its `embedding`: the precomputed one it carries, or one computed from
+ * its title. A precomputed embedding of the wrong shape is rejected rather than replaced.
+ */
+export const withEmbedding = async (product, embedder) => {
+  if (product.embedding !== undefined) {
+    if (!isEmbedding(product.embedding, embedder.dims)) {
+      throw new Error(`embedding of ${product.asin} must be an array of ${embedder.dims} numbers`);
+    }
+
+    return product;
+  }
+
+  return { ...product, embedding: await embedder.embed(product.title) };
+};
+
+/**
+ * Cosine similarity of two vectors of the same length, 0 when either is all zeros
+ */
+export const cosineSimilarity = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  return normA === 0 || normB === 0 ? 0 : dot / Math.sqrt(normA * normB);
+};
@@ -0,0 +1,18 @@
+/**
+ * Application Errors
+ * 
+ * Copyright 2025
+ * Licensed under the Apache License, Version 2.0
+ */
+
+/**
+ * Error caused by invalid client input, reported to the caller as HTTP 400
+ */
+export class BadRequestError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'BadRequestError';
+    this.status = 400;
+    this.details = details;
+  }
+}
@@ -0,0 +1,52 @@
+/**
+ * Search Export Formats
+ * Serializing exported products as CSV or newline-delimited JSON, one line at a time
+ *
+ * Copyright 2025
+ * Licensed under the Apache License, Version 2.0
+ */
+
+/**
+ * CSV field: quoted when it contains a delimiter, quote or line break
+ * Values starting with a formula character are prefixed with ' so spreadsheets show them as text.
+ */
+const toCsvValue = (value) => {
+  if (value === undefined || value === null) {
+    return '';
+  }
+
+  let text = String(value);
+
+  if (/^[=+\-@\t\r]/.test(text) && typeof value === 'string') {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+};
+
+export const EXPORT_FORMATS = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+
+    // Header row, then one row per product with the given columns
+    async *serialize(products, columns) {
+      yield `${columns.join(',')}\r\n`;
+
+      for await (const product of products) {
+        yield `${columns.map(column => toCsvValue(product[column])).join(',')}\r\n`;
+      }
+    },
+  },
+  ndjson: {
+    contentType: 'application/x-ndjson; charset=utf-8',
+    extension: 'ndjson',
+
+    // One JSON document per line
+    async *serialize(products) {
+      for await (const product of products) {
+        yield `${JSON.stringify(product)}\n`;
+      }
+    },
+  },
+};
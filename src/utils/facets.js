@@ -0,0 +1,53 @@
+/**
+ * Facet Helpers
+ * Bucket definitions shared by Elasticsearch aggregations and the in-memory fallback
+ * 
+ * Copyright 2025
+ * Licensed under the Apache License, Version 2.0
+ */
+
+/**
+ * Build contiguous range buckets from ascending boundaries, e.g. [25, 50] gives
+ * *-25, 25-50 and 50-*. Like ES range aggregations, `from` is inclusive and `to` exclusive.
+ */
+export const rangesFromBoundaries = (boundaries) =>
+  [undefined, ...boundaries].map((from, i) => {
+    const to = boundaries[i];
+    const range = { key: `${from ?? '*'}-${to ?? '*'}` };
+    if (from !== undefined) range.from = from;
+    if (to !== undefined) range.to = to;
+    return range;
+  });
+
+/**
+ * Overlapping "N and up" star rating buckets (4+, 3+, 2+, 1+)
+ */
+export const STAR_RANGES = [4, 3, 2, 1].map(from => ({ key: `${from}+`, from }));
+
+/**
+ * Whether a value falls inside a range bucket
+ */
+export const inRange = (value, { from, to }) =>
+  (from === undefined || value >= from) && (to === undefined || value < to);
+
+/**
+ * Count documents per range bucket
+ */
+export const countRanges = (docs, field, ranges) =>
+  ranges.map(range => ({
+    ...range,
+    count: docs.filter(doc => inRange(doc[field], range)).length,
+  }));
+
+/**
+ * Count documents per distinct value, ordered like an ES terms aggregation (count desc, key asc)
+ */
+export const countTerms = (docs, field) => {
+  const counts = new Map();
+
+  docs.forEach(doc => counts.set(doc[field], (counts.get(doc[field]) || 0) + 1));
+
+  return [...counts.entries()]
+    .map(([key, count]) => ({ key, count }))
+    .sort((a, b) => b.count - a.count || (a.key < b.key ? -1 : 1));
+};
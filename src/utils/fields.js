@@ -0,0 +1,45 @@
+/**
+ * Sparse Fieldsets
+ * fields= projections of product documents, for clients that only need a few fields
+ *
+ * Copyright 2025
+ * Licensed under the Apache License, Version 2.0
+ */
+
+// Product document fields a projection may select
+export const PRODUCT_FIELDS = [
+  'asin', 'title', 'imgUrl', 'productURL', 'stars', 'reviews', 'price', 'listPrice',
+  'discountAmount', 'discountPercent', 'onSale', 'category_id', 'isBestSeller', 'boughtInLastMonth',
+];
+
+/**
+ * Fields of a fields= parameter, given comma-separated and/or repeated
+ * Returns null when the parameter is absent, the field list (always with asin) or { error }.
+ */
+export const parseFields = (value) => {
+  if (value === undefined) {
+    return null;
+  }
+
+  const fields = [value].flat().flatMap(item => String(item).split(',')).map(field => field.trim());
+  const unknown = fields.filter(field => !PRODUCT_FIELDS.includes(field));
+
+  if (unknown.length > 0) {
+    return {
+      error: `fields must be a comma-separated list of: ${PRODUCT_FIELDS.join(', ')}`,
+    };
+  }
+
+  // asin identifies the product, e.g. in click events, so it is always kept
+  return [...new Set(['asin', ...fields])];
+};
+
+/**
+ * Keep only the selected fields of a product (highlights and score explanations requested
+ * alongside are kept too)
+ */
+export const projectProduct = (product, fields) => ({
+  ...Object.fromEntries(fields.filter(field => Object.hasOwn(product, field)).map(field => [field, product[field]])),
+  ...(product._highlight && { _highlight: product._highlight }),
+  ...(product._explanation && { _explanation: product._explanation }),
+});
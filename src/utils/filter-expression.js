@@ -0,0 +1,201 @@
+/**
+ * Filter Expressions
+ * Nested and/or/not filters over product fields, sent as JSON to POST /api/search
+ *
+ * Copyright 2025
+ * Licensed under the Apache License, Version 2.0
+ */
+
+import { BadRequestError } from './errors.js';
+
+/**
+ * Product fields an expression may test, with the type of their values
+ */
+export const FILTER_FIELDS = {
+  asin: 'keyword',
+  category_id: 'integer',
+  price: 'number',
+  listPrice: 'number',
+  discountAmount: 'number',
+  discountPercent: 'number',
+  stars: 'number',
+  reviews: 'integer',
+  boughtInLastMonth: 'integer',
+  isBestSeller: 'boolean',
+  onSale: 'boolean',
+};
+
+const RANGE_OPERATORS = {
+  gt: (value, bound) => value > bound,
+  gte: (value, bound) => value >= bound,
+  lt: (value, bound) => value < bound,
+  lte: (value, bound) => value <= bound,
+};
+
+// Keep a single expression from growing into an expensive query
+const MAX_DEPTH = 8;
+const MAX_NODES = 64;
+
+const isObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+const isNumeric = (field) => ['number', 'integer'].includes(FILTER_FIELDS[field]);
+
+/**
+ * Report an expression that cannot be compiled, pointing at the offending node
+ */
+const invalidExpression = (path, message) =>
+  new BadRequestError('Invalid filter expression', { message: `${path} ${message}`, path });
+
+const isValidValue = (field, value) => {
+  switch (FILTER_FIELDS[field]) {
+    case 'keyword':
+      return typeof value === 'string' && value !== '';
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return Number.isFinite(value);
+    default:
+      return typeof value === 'boolean';
+  }
+};
+
+/**
+ * The single { field: operand } entry of a term or range node
+ */
+const fieldEntry = (operand, path) => {
+  if (!isObject(operand) || Object.keys(operand).length !== 1) {
+    throw invalidExpression(path, 'must name exactly one field, e.g. { "price": ... }');
+  }
+
+  const [[field, value]] = Object.entries(operand);
+
+  if (!Object.hasOwn(FILTER_FIELDS, field)) {
+    throw invalidExpression(path, `has unknown field "${field}"; fields are: ${Object.keys(FILTER_FIELDS).join(', ')}`);
+  }
+
+  return [field, value];
+};
+
+const NODES = {
+  and: (operand, path, compileChild) => {
+    const children = compileList(operand, path, compileChild);
+
+    return {
+      clause: { bool: { filter: children.map(child => child.clause) } },
+      test: product => children.every(child => child.test(product)),
+    };
+  },
+
+  or: (operand, path, compileChild) => {
+    const children = compileList(operand, path, compileChild);
+
+    return {
+      clause: { bool: { should: children.map(child => child.clause), minimum_should_match: 1 } },
+      test: product => children.some(child => child.test(product)),
+    };
+  },
+
+  not: (operand, path, compileChild) => {
+    const child = compileChild(operand, path);
+
+    return {
+      clause: { bool: { must_not: [child.clause] } },
+      test: product => !child.test(product),
+    };
+  },
+
+  term: (operand, path) => {
+    const [field, value] = fieldEntry(operand, path);
+
+    if (!isValidValue(field, value)) {
+      throw invalidExpression(`${path}.${field}`, `must be a single ${FILTER_FIELDS[field]} value`);
+    }
+
+    return {
+      clause: { term: { [field]: value } },
+      test: product => product[field] === value,
+    };
+  },
+
+  range: (operand, path) => {
+    const [field, bounds] = fieldEntry(operand, path);
+
+    if (!isNumeric(field)) {
+      throw invalidExpression(`${path}.${field}`, `is not numeric; range applies to numeric fields only`);
+    }
+
+    if (!isObject(bounds) || Object.keys(bounds).length === 0) {
+      throw invalidExpression(`${path}.${field}`, 'must have at least one of gt, gte, lt, lte');
+    }
+
+    for (const [operator, bound] of Object.entries(bounds)) {
+      if (!Object.hasOwn(RANGE_OPERATORS, operator)) {
+        throw invalidExpression(`${path}.${field}`, `has unknown operator "${operator}"; use gt, gte, lt or lte`);
+      }
+
+      if (!Number.isFinite(bound)) {
+        throw invalidExpression(`${path}.${field}.${operator}`, 'must be a number');
+      }
+    }
+
+    return {
+      clause: { range: { [field]: bounds } },
+      test: product =>
+        typeof product[field] === 'number' &&
+        Object.entries(bounds).every(([operator, bound]) => RANGE_OPERATORS[operator](product[field], bound)),
+    };
+  },
+
+  exists: (operand, path) => {
+    const field = operand?.field;
+
+    if (!isObject(operand) || Object.keys(operand).length !== 1 || !Object.hasOwn(FILTER_FIELDS, field)) {
+      throw invalidExpression(path, `must be { "field": name } with one of: ${Object.keys(FILTER_FIELDS).join(', ')}`);
+    }
+
+    return {
+      clause: { exists: { field } },
+      test: product => product[field] !== undefined && product[field] !== null,
+    };
+  },
+};
+
+const compileList = (operand, path, compileChild) => {
+  if (!Array.isArray(operand) || operand.length === 0) {
+    throw invalidExpression(path, 'must be a non-empty array of expressions');
+  }
+
+  return operand.map((child, index) => compileChild(child, `${path}[${index}]`));
+};
+
+/**
+ * Compile a filter expression into an Elasticsearch clause and the equivalent in-memory
+ * predicate, as a built filter: { clause, test }
+ *
+ * An expression is one of
+ *   { "and": [expr, ...] }, { "or": [expr, ...] }, { "not": expr },
+ *   { "term": { field: value } }, { "range": { field: { gt|gte|lt|lte: number } } },
+ *   { "exists": { "field": field } }
+ * Invalid expressions throw BadRequestError naming the path of the offending node.
+ */
+export const compileFilterExpression = (expression, path = 'filter') => {
+  let nodes = 0;
+
+  const compileNode = (node, nodePath, depth) => {
+    nodes += 1;
+
+    if (depth > MAX_DEPTH || nodes > MAX_NODES) {
+      throw invalidExpression(nodePath, `exceeds the expression limits of ${MAX_DEPTH} levels and ${MAX_NODES} nodes`);
+    }
+
+    if (!isObject(node) || Object.keys(node).length !== 1 || !Object.hasOwn(NODES, Object.keys(node)[0])) {
+      throw invalidExpression(nodePath, `must be an object with exactly one of: ${Object.keys(NODES).join(', ')}`);
+    }
+
+    const [[type, operand]] = Object.entries(node);
+
+    return NODES[type](operand, `${nodePath}.${type}`, (child, childPath) => compileNode(child, childPath, depth + 1));
+  };
+
+  return compileNode(expression, path, 1);
+};
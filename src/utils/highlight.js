@@ -0,0 +1,52 @@
+/**
+ * Highlighter
+ * Token-based highlighting for the in-memory fallback, matching ES `encoder: html` output
+ * 
+ * Copyright 2025
+ * Licensed under the Apache License, Version 2.0
+ */
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  '\'': '&#x27;',
+  '/': '&#x2F;',
+};
+
+/**
+ * Escape text for safe inclusion in HTML, like the ES html encoder
+ */
+export const escapeHtml = (text) => text.replace(/[&<>"'/]/g, char => HTML_ESCAPES[char]);
+
+/**
+ * Wrap every word of `text` that is one of `terms` in the given tags, comparing whole
+ * lowercase tokens like the fallback text match.
+ * The text is HTML-escaped; the tags are inserted as-is. Returns null when nothing matched.
+ */
+export const highlightText = (text, terms, { preTag, postTag }) => {
+  let matched = false;
+  let output = '';
+  let lastIndex = 0;
+
+  for (const match of text.matchAll(/[\p{L}\p{N}]+/gu)) {
+    const word = match[0];
+    const lowerWord = word.toLowerCase();
+
+    output += escapeHtml(text.slice(lastIndex, match.index));
+
+    if (terms.includes(lowerWord)) {
+      matched = true;
+      output += `${preTag}${escapeHtml(word)}${postTag}`;
+    } else {
+      output += escapeHtml(word);
+    }
+
+    lastIndex = match.index + word.length;
+  }
+
+  output += escapeHtml(text.slice(lastIndex));
+
+  return matched ? output : null;
+};
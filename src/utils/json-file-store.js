@@ -0,0 +1,42 @@
+/**
+ * JSON File Store
+ * Small JSON documents persisted in a local file, for admin-managed search data
+ *
+ * Copyright 2025
+ * Licensed under the Apache License, Version 2.0
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+class JsonFileStore {
+  constructor(filePath, defaultValue = []) {
+    this.filePath = filePath;
+    this.defaultValue = defaultValue;
+  }
+
+  /**
+   * Read the stored value, or the default when the file does not exist yet
+   */
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return structuredClone(this.defaultValue);
+    }
+
+    return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+  }
+
+  /**
+   * Replace the stored value
+   * Written to a temporary file first so a crash never leaves a half-written file behind.
+   */
+  async save(value) {
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.writeFile(tempPath, `${JSON.stringify(value, null, 2)}\n`);
+    await fs.promises.rename(tempPath, this.filePath);
+  }
+}
+
+export default JsonFileStore;
@@ -0,0 +1,68 @@
+/**
+ * Match Modes
+ * How many query terms a product must match, shared by Elasticsearch and the in-memory fallback
+ *
+ * Copyright 2025
+ * Licensed under the Apache License, Version 2.0
+ */
+
+/**
+ * Named modes; a percentage such as "75%" is accepted as well
+ * `hybrid` matches terms like `any` and adds vector search results (ProductService).
+ */
+export const MATCH_MODES = ['any', 'all', 'phrase', 'hybrid'];
+
+const PERCENTAGE_PATTERN = /^(\d{1,3})%$/;
+
+/**
+ * Normalize a `mode` value, returning null when it is not a known mode or a 1-100% percentage
+ */
+export const parseMatchMode = (mode) => {
+  if (typeof mode !== 'string') {
+    return null;
+  }
+
+  const normalized = mode.trim().toLowerCase();
+
+  if (MATCH_MODES.includes(normalized)) {
+    return normalized;
+  }
+
+  const percentage = Number(normalized.match(PERCENTAGE_PATTERN)?.[1]);
+
+  return percentage >= 1 && percentage <= 100 ? `${percentage}%` : null;
+};
+
+/**
+ * multi_match options implementing a mode
+ * Phrase matching cannot be fuzzy, so fuzziness only applies to term modes.
+ */
+export const toMultiMatchOptions = (mode) => {
+  if (mode === 'phrase') {
+    return { type: 'phrase' };
+  }
+
+  const options = { fuzziness: 'AUTO', operator: mode === 'all' ? 'and' : 'or' };
+
+  if (mode.endsWith('%')) {
+    options.minimum_should_match = mode;
+  }
+
+  return options;
+};
+
+/**
+ * Number of the query's terms a field must match in a term mode,
+ * rounding percentages down like minimum_should_match but requiring at least one term
+ */
+export const requiredMatches = (mode, termCount) => {
+  if (mode === 'all') {
+    return termCount;
+  }
+
+  if (mode.endsWith('%')) {
+    return Math.max(1, Math.floor((termCount * parseInt(mode, 10)) / 100));
+  }
+
+  return Math.min(1, termCount);
+};
@@ -0,0 +1,65 @@
+/**
+ * Merchandising Helpers
+ * Query matching and combination of pin / boost / bury rules
+ *
+ * Copyright 2025
+ * Licensed under the Apache License, Version 2.0
+ */
+
+import { tokenize } from './text.js';
+
+/**
+ * How a rule's query is compared with the search text
+ */
+export const RULE_MATCH_TYPES = ['exact', 'contains', 'pattern'];
+
+/**
+ * Compile a pattern where * matches anything (e.g. "*luggage*") into an anchored regex
+ * The pattern is normalized like tokenized text, so "carry-on*" matches "carry on bag".
+ */
+const patternToRegExp = (pattern) =>
+  new RegExp(`^${pattern
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}*]+/gu, ' ')
+    .trim()
+    .split('*')
+    .join('.*')}$`, 'u');
+
+/**
+ * Whether a rule applies to the (plain) search text
+ * exact: same words, contains: the rule's words appear in order, pattern: * wildcards
+ */
+export const ruleMatchesQuery = (rule, text) => {
+  const normalizedText = tokenize(text).join(' ');
+
+  if (rule.match === 'pattern') {
+    return patternToRegExp(rule.query).test(normalizedText);
+  }
+
+  const ruleText = tokenize(rule.query).join(' ');
+
+  if (rule.match === 'contains') {
+    return ` ${normalizedText} `.includes(` ${ruleText} `);
+  }
+
+  return normalizedText === ruleText;
+};
+
+/**
+ * Whether a rule's optional start/end dates include the given time
+ */
+export const isRuleActive = (rule, now = new Date()) =>
+  (!rule.startDate || new Date(rule.startDate) <= now) &&
+  (!rule.endDate || new Date(rule.endDate) > now);
+
+/**
+ * Merge the actions of several rules, earlier rules first
+ * Returns { pin, bury, boost } where a pinned ASIN is never buried.
+ */
+export const combineRules = (rules) => {
+  const pin = [...new Set(rules.flatMap(rule => rule.pin ?? []))];
+  const bury = [...new Set(rules.flatMap(rule => rule.bury ?? []))].filter(asin => !pin.includes(asin));
+  const boost = rules.flatMap(rule => rule.boost ?? []);
+
+  return { pin, bury, boost };
+};
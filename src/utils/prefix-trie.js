@@ -0,0 +1,44 @@
+/**
+ * Prefix Trie
+ * Maps token prefixes to the values indexed under them, used for typeahead without Elasticsearch
+ * 
+ * Copyright 2025
+ * Licensed under the Apache License, Version 2.0
+ */
+
+class PrefixTrie {
+  constructor() {
+    this.root = { children: new Map(), values: new Set() };
+  }
+
+  /**
+   * Index a value under every prefix of a token
+   */
+  insert(token, value) {
+    let node = this.root;
+
+    for (const char of token) {
+      if (!node.children.has(char)) {
+        node.children.set(char, { children: new Map(), values: new Set() });
+      }
+      node = node.children.get(char);
+      node.values.add(value);
+    }
+  }
+
+  /**
+   * Values indexed under a token that starts with the prefix
+   */
+  find(prefix) {
+    let node = this.root;
+
+    for (const char of prefix) {
+      node = node.children.get(char);
+      if (!node) return new Set();
+    }
+
+    return node.values;
+  }
+}
+
+export default PrefixTrie;
@@ -0,0 +1,160 @@
+/**
+ * Query Parser
+ * Search box syntax: "quoted phrases", -exclusions and field:operators
+ *
+ * Copyright 2025
+ * Licensed under the Apache License, Version 2.0
+ */
+
+import { BadRequestError } from './errors.js';
+import { tokenize } from './text.js';
+
+/**
+ * Fields usable as field:value in the query, keyed by the name typed in the search box
+ */
+export const QUERY_FIELDS = {
+  price: { field: 'price', type: 'number' },
+  stars: { field: 'stars', type: 'number' },
+  reviews: { field: 'reviews', type: 'number' },
+  discount: { field: 'discountPercent', type: 'number' },
+  category: { field: 'category_id', type: 'integer' },
+  bestseller: { field: 'isBestSeller', type: 'boolean' },
+  onsale: { field: 'onSale', type: 'boolean' },
+  asin: { field: 'asin', type: 'keyword' },
+};
+
+// An optional leading "-", then a "quoted phrase" or a bare word
+const TOKEN_PATTERN = /(-?)(?:"([^"]*)"|(\S+))/g;
+
+// Comparison prefixes of numeric field values and their ES range operators
+const COMPARISONS = [
+  ['<=', 'lte'],
+  ['>=', 'gte'],
+  ['<', 'lt'],
+  ['>', 'gt'],
+];
+
+const NUMBER_PATTERN = /^\d+(\.\d+)?$/;
+
+/**
+ * Report a field value that cannot be used, pointing at its position in the query
+ */
+const invalidValue = (message, position, token) =>
+  new BadRequestError('Invalid query syntax', { message, position, token });
+
+/**
+ * Parse a numeric field value: 100, <100, >=4 or 50..100
+ * Returns an ES range object such as { lt: 100 }, or null when the value is not numeric
+ */
+const parseNumericValue = (value, integer) => {
+  const isNumber = (text) => NUMBER_PATTERN.test(text) && (!integer || Number.isInteger(Number(text)));
+
+  const comparison = COMPARISONS.find(([prefix]) => value.startsWith(prefix));
+
+  if (comparison) {
+    const [prefix, operator] = comparison;
+    const number = value.slice(prefix.length);
+    return isNumber(number) ? { [operator]: Number(number) } : null;
+  }
+
+  const bounds = value.split('..');
+
+  if (bounds.length === 2 && bounds.every(isNumber) && Number(bounds[0]) <= Number(bounds[1])) {
+    return { gte: Number(bounds[0]), lte: Number(bounds[1]) };
+  }
+
+  return isNumber(value) ? { gte: Number(value), lte: Number(value) } : null;
+};
+
+/**
+ * Turn field:value into a field clause: { field, range } for numbers, { field, value } otherwise
+ */
+const parseFieldClause = (name, value, position, token) => {
+  const { field, type } = QUERY_FIELDS[name];
+
+  if (value === '') {
+    throw invalidValue(`${name} needs a value, e.g. ${name}:${type === 'boolean' ? 'true' : '100'}`, position, token);
+  }
+
+  if (type === 'number' || type === 'integer') {
+    const range = parseNumericValue(value, type === 'integer');
+
+    if (!range) {
+      throw invalidValue(
+        `${name} expects ${type === 'integer' ? 'an integer' : 'a number'}, optionally with <, <=, > or >=, or a range like 10..50`,
+        position,
+        token
+      );
+    }
+
+    // Category ids are matched exactly, not as a range
+    return type === 'integer' && range.gte === range.lte
+      ? { field, value: range.gte }
+      : { field, range };
+  }
+
+  if (type === 'boolean') {
+    if (value !== 'true' && value !== 'false') {
+      throw invalidValue(`${name} expects true or false`, position, token);
+    }
+    return { field, value: value === 'true' };
+  }
+
+  return { field, value };
+};
+
+/**
+ * Parse a search box query
+ *
+ * Returns { text, terms, phrases, excluded, fields, operators }:
+ * - terms: plain words, joined as `text` for full-text matching
+ * - phrases / excluded: normalized phrases that must / must not appear in the title
+ * - fields: field clauses ({ field, range } or { field, value }) with a `negated` flag
+ * - operators: the raw syntax tokens, kept to rebuild the query around corrected text
+ *
+ * Known fields with unusable values are rejected with their position; anything else that
+ * is not valid syntax (unknown fields, unbalanced quotes, stray dashes) is read as plain text.
+ */
+export const parseQuery = (input = '') => {
+  const parsed = { terms: [], phrases: [], excluded: [], fields: [], operators: [] };
+
+  for (const match of input.matchAll(TOKEN_PATTERN)) {
+    const [token, dash, phrase, word] = match;
+    const negated = dash === '-';
+
+    if (phrase !== undefined) {
+      const normalized = tokenize(phrase).join(' ');
+      if (normalized) {
+        (negated ? parsed.excluded : parsed.phrases).push(normalized);
+        parsed.operators.push(token);
+      }
+      continue;
+    }
+
+    const fieldMatch = word.match(/^([a-z_]+):(.*)$/i);
+    const fieldName = fieldMatch?.[1].toLowerCase();
+
+    if (fieldMatch && Object.hasOwn(QUERY_FIELDS, fieldName)) {
+      const clause = parseFieldClause(fieldName, fieldMatch[2], match.index, token);
+      parsed.fields.push({ ...clause, negated });
+      parsed.operators.push(token);
+      continue;
+    }
+
+    const words = tokenize(word);
+
+    if (negated && words.length > 0) {
+      parsed.excluded.push(words.join(' '));
+      parsed.operators.push(token);
+    } else {
+      parsed.terms.push(...words);
+    }
+  }
+
+  return { ...parsed, text: parsed.terms.join(' ') };
+};
+
+/**
+ * Rebuild a query with its plain text replaced, keeping phrases, exclusions and field operators
+ */
+export const replaceQueryText = (parsed, text) => [text, ...parsed.operators].filter(Boolean).join(' ');
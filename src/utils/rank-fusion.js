@@ -0,0 +1,31 @@
+/**
+ * Rank Fusion
+ * Combining independent rankings of the same documents, e.g. lexical and vector search results
+ *
+ * Copyright 2025
+ * Licensed under the Apache License, Version 2.0
+ */
+
+/**
+ * Reciprocal rank fusion of rankings given as arrays of ids, best first
+ *
+ * Each id scores the sum of 1 / (rankConstant + rank) over the rankings it appears in (ranks
+ * start at 1), so documents ranked well by several rankings rise to the top without comparing
+ * their incomparable raw scores. Returns [{ id, score }], best first; ties go to the best rank
+ * in any ranking, then to the id.
+ */
+export const reciprocalRankFusion = (rankings, rankConstant = 60) => {
+  const fused = new Map();
+
+  rankings.forEach(ranking => ranking.forEach((id, index) => {
+    const entry = fused.get(id) ?? { id, score: 0, bestRank: Infinity };
+
+    entry.score += 1 / (rankConstant + index + 1);
+    entry.bestRank = Math.min(entry.bestRank, index + 1);
+    fused.set(id, entry);
+  }));
+
+  return [...fused.values()]
+    .sort((a, b) => b.score - a.score || a.bestRank - b.bestRank || String(a.id).localeCompare(String(b.id)))
+    .map(({ id, score }) => ({ id, score }));
+};
@@ -0,0 +1,116 @@
+/**
+ * Search Relaxation
+ * Progressively looser versions of a search that found nothing, tried by relax=true searches
+ *
+ * Copyright 2025
+ * Licensed under the Apache License, Version 2.0
+ */
+
+import { parseQuery } from './query-parser.js';
+
+// The price range is widened once by this factor (minimum divided, maximum multiplied) before it is dropped
+const PRICE_WIDENING_FACTOR = 2;
+
+const isSet = value => value !== undefined && value !== null && value !== '';
+
+/**
+ * The filters among keys that are set
+ */
+const pickSet = (filters, keys) =>
+  Object.fromEntries(keys.filter(key => isSet(filters[key])).map(key => [key, filters[key]]));
+
+const roundPrice = price => Math.round(price * 100) / 100;
+
+/**
+ * Step that drops the given filters, named after the constraint they form
+ */
+const dropFilters = (constraint, keys) => search => {
+  const from = pickSet(search.filters, keys);
+
+  if (Object.keys(from).length === 0) {
+    return null;
+  }
+
+  return {
+    search: { ...search, filters: { ...search.filters, ...Object.fromEntries(keys.map(key => [key, undefined])) } },
+    step: { constraint, action: 'dropped', from },
+  };
+};
+
+const widenPrice = search => {
+  const from = pickSet(search.filters, ['minPrice', 'maxPrice']);
+
+  if (Object.keys(from).length === 0) {
+    return null;
+  }
+
+  const to = {};
+  if (isSet(from.minPrice)) to.minPrice = roundPrice(Number(from.minPrice) / PRICE_WIDENING_FACTOR);
+  if (isSet(from.maxPrice)) to.maxPrice = roundPrice(Number(from.maxPrice) * PRICE_WIDENING_FACTOR);
+
+  return {
+    search: { ...search, filters: { ...search.filters, ...to } },
+    step: { constraint: 'price', action: 'widened', from, to },
+  };
+};
+
+/**
+ * Match any word of the plain text and phrases, dropping exclusions and field operators
+ */
+const loosenText = search => {
+  const parsed = parseQuery(search.query);
+  const query = [parsed.text, ...parsed.phrases].filter(Boolean).join(' ');
+
+  if (!query || (query === search.query.trim() && search.mode === 'any')) {
+    return null;
+  }
+
+  return {
+    search: { ...search, query, mode: 'any' },
+    step: {
+      constraint: 'text',
+      action: 'loosened',
+      from: { query: search.query, mode: search.mode },
+      to: { query, mode: 'any' },
+    },
+  };
+};
+
+// Relaxation order: rating, then price, then category, then the text match itself
+const STEPS = [
+  dropFilters('stars', ['minStars']),
+  widenPrice,
+  dropFilters('price', ['minPrice', 'maxPrice']),
+  dropFilters('category', ['category_id']),
+  loosenText,
+];
+
+/**
+ * Successively looser versions of a { query, filters, mode } search
+ *
+ * Each entry keeps the changes of the ones before it: [{ search, steps }], where steps explain
+ * every constraint given up so far. Steps with nothing to loosen are skipped.
+ */
+export const planRelaxation = search => {
+  const plan = [];
+  const steps = [];
+  let current = search;
+
+  for (const loosen of STEPS) {
+    const relaxed = loosen(current);
+
+    if (relaxed) {
+      current = relaxed.search;
+      steps.push(relaxed.step);
+      plan.push({ search: current, steps: [...steps] });
+    }
+  }
+
+  return plan;
+};
+
+/**
+ * The filters of a relaxed search that are still set
+ */
+export const activeFilters = filters =>
+  Object.fromEntries(Object.entries(filters).filter(([, value]) => isSet(value)));
@@ -0,0 +1,93 @@
+/**
+ * Sort Helpers
+ * Shared sort definitions so Elasticsearch and the in-memory fallback order results identically
+ * 
+ * Copyright 2025
+ * Licensed under the Apache License, Version 2.0
+ */
+
+/**
+ * Relevance first, then best sellers, rating and popularity.
+ * ASIN is a unique tiebreaker so the order is total, which search_after cursors rely on.
+ */
+export const DEFAULT_SORT = [
+  { field: '_score', order: 'desc' },
+  { field: 'isBestSeller', order: 'desc' },
+  { field: 'stars', order: 'desc' },
+  { field: 'boughtInLastMonth', order: 'desc' },
+  { field: 'asin', order: 'asc' },
+];
+
+const ASIN_TIEBREAKER = { field: 'asin', order: 'asc' };
+
+/**
+ * Named sort orders selectable with the `sort` search parameter
+ */
+export const SORT_MODES = {
+  relevance: DEFAULT_SORT,
+  price_asc: [
+    { field: 'price', order: 'asc' },
+    { field: '_score', order: 'desc' },
+    ASIN_TIEBREAKER,
+  ],
+  price_desc: [
+    { field: 'price', order: 'desc' },
+    { field: '_score', order: 'desc' },
+    ASIN_TIEBREAKER,
+  ],
+  top_rated: [
+    { field: 'stars', order: 'desc' },
+    { field: 'reviews', order: 'desc' },
+    ASIN_TIEBREAKER,
+  ],
+  most_reviewed: [
+    { field: 'reviews', order: 'desc' },
+    { field: 'stars', order: 'desc' },
+    ASIN_TIEBREAKER,
+  ],
+  most_popular: [
+    { field: 'boughtInLastMonth', order: 'desc' },
+    { field: 'stars', order: 'desc' },
+    ASIN_TIEBREAKER,
+  ],
+  biggest_discount: [
+    { field: 'discountPercent', order: 'desc' }, // Computed at ingest, see utils/discount.js
+    { field: 'boughtInLastMonth', order: 'desc' },
+    ASIN_TIEBREAKER,
+  ],
+};
+
+export const DEFAULT_SORT_MODE = 'relevance';
+
+/**
+ * Resolve a sort mode name into its sort keys
+ */
+export const getSortKeys = (mode = DEFAULT_SORT_MODE) => SORT_MODES[mode];
+
+/**
+ * Convert sort keys into an Elasticsearch sort clause
+ */
+export const toElasticsearchSort = (keys) => keys.map(({ field, order }) => ({ [field]: { order } }));
+
+/**
+ * Extract the sort tuple of a document, shaped like the `sort` array Elasticsearch returns
+ */
+export const sortValues = (doc, keys) =>
+  keys.map(({ field }) => {
+    const value = doc[field] ?? 0;
+    return typeof value === 'boolean' ? Number(value) : value;
+  });
+
+/**
+ * Compare two sort tuples, returning a negative number when `a` sorts first
+ */
+export const compareSortValues = (a, b, keys) => {
+  for (let i = 0; i < keys.length; i++) {
+    if (a[i] === b[i]) continue;
+
+    const comparison = a[i] < b[i] ? -1 : 1;
+    return keys[i].order === 'desc' ? -comparison : comparison;
+  }
+
+  return 0;
+};
@@ -0,0 +1,79 @@
+/**
+ * Synonym Helpers
+ * Parsing of Solr-format synonym rules and query expansion for the in-memory fallback
+ * 
+ * Copyright 2025
+ * Licensed under the Apache License, Version 2.0
+ */
+
+import { tokenize } from './text.js';
+
+// Expansion is combinatorial; cap it so a long query cannot explode
+const MAX_QUERY_VARIANTS = 20;
+
+/**
+ * Normalize a comma-separated term list the way the analyzer sees it
+ */
+const parseTerms = (list) =>
+  list
+    .split(',')
+    .map(term => tokenize(term).join(' '))
+    .filter(Boolean);
+
+/**
+ * Parse one rule: "a, b, c" makes the terms equivalent, "a, b => c" rewrites a and b to c.
+ * Returns { from, to } or null when the rule is malformed.
+ */
+export const parseSynonymRule = (rule) => {
+  const sides = rule.split('=>');
+
+  if (sides.length > 2) {
+    return null;
+  }
+
+  if (sides.length === 1) {
+    const terms = parseTerms(sides[0]);
+    return terms.length >= 2 ? { from: terms, to: terms } : null;
+  }
+
+  const from = parseTerms(sides[0]);
+  const to = parseTerms(sides[1]);
+
+  return from.length > 0 && to.length > 0 ? { from, to } : null;
+};
+
+/**
+ * Split a synonyms file into rules, dropping comments and blank lines
+ */
+export const parseSynonymsFile = (contents) =>
+  contents
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+
+/**
+ * Expand a query into every variant reachable by applying the rules once, original first
+ */
+export const expandQuery = (query, rules) => {
+  const normalized = tokenize(query).join(' ');
+  const variants = new Set([normalized]);
+  const parsedRules = rules.map(parseSynonymRule).filter(Boolean);
+
+  for (const { from, to } of parsedRules) {
+    for (const variant of [...variants]) {
+      for (const term of from) {
+        const pattern = new RegExp(`(^| )${term}(?= |$)`);
+
+        if (!pattern.test(variant)) continue;
+
+        to.forEach(replacement => {
+          if (variants.size < MAX_QUERY_VARIANTS) {
+            variants.add(variant.replace(pattern, `$1${replacement}`));
+          }
+        });
+      }
+    }
+  }
+
+  return [...variants];
+};
@@ -0,0 +1,56 @@
+/**
+ * Text Helpers
+ * Tokenization shared by the in-memory search features
+ * 
+ * Copyright 2025
+ * Licensed under the Apache License, Version 2.0
+ */
+
+/**
+ * Split text into lowercase alphanumeric tokens, roughly like the ES standard analyzer
+ */
+export const tokenize = (text = '') => text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+/**
+ * Levenshtein edit distance between two strings
+ */
+export const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1, // deletion
+        current[j - 1] + 1, // insertion
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1) // substitution
+      );
+    }
+
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+/**
+ * Share of distinct tokens two token lists have in common (Jaccard index, 0 to 1)
+ */
+export const tokenOverlap = (a, b) => {
+  const setA = new Set(a);
+  const setB = new Set(b);
+  const shared = [...setA].filter(token => setB.has(token)).length;
+  const union = setA.size + setB.size - shared;
+
+  return union === 0 ? 0 : shared / union;
+};
+
+/**
+ * Maximum edits tolerated for a term, mirroring ES fuzziness AUTO (0 up to 2 chars, 1 up to 5, else 2)
+ */
+export const autoFuzziness = (term) => {
+  if (term.length <= 2) return 0;
+  if (term.length <= 5) return 1;
+  return 2;
+};
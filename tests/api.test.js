@@ -18,7 +18,20 @@
 
 import { jest } from '@jest/globals';
 import request from 'supertest';
-import Application from '../src/app.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Keep runtime-managed data files out of the repository while tests modify them
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ecom-search-test-'));
+fs.copyFileSync('data/synonyms.txt', path.join(dataDir, 'synonyms.txt'));
+process.env.SYNONYMS_FILE = path.join(dataDir, 'synonyms.txt');
+fs.copyFileSync('data/rules.json', path.join(dataDir, 'rules.json'));
+process.env.MERCHANDISING_RULES_FILE = path.join(dataDir, 'rules.json');
+fs.copyFileSync('data/redirects.json', path.join(dataDir, 'redirects.json'));
+process.env.QUERY_REDIRECTS_FILE = path.join(dataDir, 'redirects.json');
+process.env.ANALYTICS_FILE = path.join(dataDir, 'analytics.jsonl');
+process.env.ANALYTICS_EVENTS_FILE = path.join(dataDir, 'events.jsonl');
 
 // Mock Elasticsearch client to simulate unavailable ES and force fallback to in-memory search
 jest.unstable_mockModule('../src/config/elasticsearch.js', () => ({
@@ -29,6 +42,12 @@ jest.unstable_mockModule('../src/config/elasticsearch.js', () => ({
     count: jest.fn().mockResolvedValue({ count: 0 }),
     get: jest.fn().mockRejectedValue(new Error('Not found')),
     deleteByQuery: jest.fn().mockResolvedValue({ deleted: 0 }),
+    openPointInTime: jest.fn().mockRejectedValue(new Error('ES not available in tests')),
+    closePointInTime: jest.fn().mockResolvedValue({ succeeded: true }),
+    msearch: jest.fn().mockRejectedValue(new Error('ES not available in tests')),
+    synonyms: {
+      putSynonym: jest.fn().mockResolvedValue({ result: 'updated' }),
+    },
     indices: {
       exists: jest.fn().mockResolvedValue(false),
       create: jest.fn().mockResolvedValue({ acknowledged: true }),
@@ -44,6 +63,39 @@ jest.unstable_mockModule('../src/config/elasticsearch.js', () => ({
   },
 }));
 
+// Modules that depend on the mocked client must be imported after the mock is registered.
+// The mock is loaded first so modules importing it concurrently share a single instance.
+const { default: elasticsearchClient } = await import('../src/config/elasticsearch.js');
+const { default: Application } = await import('../src/app.js');
+const { default: config } = await import('../src/config/index.js');
+
+// Most recent search request that fetched hits (spelling suggestion requests use size 0)
+const lastSearchRequest = () =>
+  elasticsearchClient.search.mock.calls
+    .map(([params]) => params)
+    .filter(params => params.body.size !== 0)
+    .at(-1);
+
+// The bool query of the last product search, unwrapped from its ranking profile's function_score
+const lastSearchBool = () => {
+  const { query } = lastSearchRequest().body;
+  return (query.function_score?.query ?? query).bool;
+};
+
+// Builds an Elasticsearch search response with empty facet aggregations
+const esSearchResponse = ({ hits = [], total = hits.length, aggregations = {}, ...rest } = {}) => ({
+  took: 1,
+  hits: { total: { value: total, relation: 'eq' }, hits },
+  aggregations: {
+    categories: { doc_count: 0, buckets: { buckets: [] } },
+    price: { doc_count: 0, buckets: { buckets: Array.from({ length: 5 }, () => ({ doc_count: 0 })) } },
+    stars: { doc_count: 0, buckets: { buckets: Array.from({ length: 4 }, () => ({ doc_count: 0 })) } },
+    bestSeller: { doc_count: 0, buckets: { doc_count: 0 } },
+    ...aggregations,
+  },
+  ...rest,
+});
+
 describe('Health Check Endpoint', () => {
   let app;
 
@@ -81,6 +133,14 @@ describe('Search API', () => {
       expect(response.body.error).toBe('Query parameter is required');
     });
 
+    it('should return 400 when query is repeated', async () => {
+      const response = await request(app)
+        .get('/api/search?query=luggage&query=airpods')
+        .expect(400);
+
+      expect(response.body.error).toBe('Invalid query parameter');
+    });
+
     it('should return search results with valid query', async () => {
       const response = await request(app)
         .get('/api/search?query=luggage')
@@ -147,6 +207,36 @@ describe('Search API', () => {
       }
     });
 
+    it('should limit results to the requested fields', async () => {
+      const response = await request(app)
+        .get('/api/search?query=luggage&fields=title,price&fields=imgUrl')
+        .expect(200);
+
+      expect(response.body.results.length).toBeGreaterThan(0);
+      response.body.results.forEach(product => {
+        expect(Object.keys(product).sort()).toEqual(['asin', 'imgUrl', 'price', 'title']);
+      });
+
+      const invalid = await request(app)
+        .get('/api/search?query=luggage&fields=title,_source')
+        .expect(400);
+
+      expect(invalid.body).toHaveProperty('error', 'Invalid fields parameter');
+    });
+
+    it('should fetch only the requested fields from Elasticsearch', async () => {
+      elasticsearchClient.search.mockResolvedValueOnce(esSearchResponse({
+        hits: [{ _id: 'B08N5WRWNW', _score: 3.1, _source: { asin: 'B08N5WRWNW', title: 'Samsonite Omni' } }],
+      }));
+
+      const response = await request(app)
+        .get('/api/search?query=luggage&fields=title')
+        .expect(200);
+
+      expect(lastSearchRequest().body._source).toEqual(['asin', 'title']);
+      expect(response.body.results).toEqual([{ asin: 'B08N5WRWNW', title: 'Samsonite Omni' }]);
+    });
+
     it('should include pagination info', async () => {
       const response = await request(app)
         .get('/api/search?query=luggage&page=1&limit=2')
@@ -158,65 +248,1729 @@ describe('Search API', () => {
       expect(response.body.pagination).toHaveProperty('total');
       expect(response.body.pagination).toHaveProperty('pages');
     });
-  });
-});
 
-describe('Products API', () => {
-  let app;
+    it('should paginate fallback results', async () => {
+      const firstPage = await request(app)
+        .get('/api/search?query=luggage&page=1&limit=1')
+        .expect(200);
+      const secondPage = await request(app)
+        .get('/api/search?query=luggage&page=2&limit=1')
+        .expect(200);
 
-  beforeAll(() => {
-    const application = new Application();
-    app = application.initialize();
-  });
+      expect(firstPage.body.pagination).toEqual({ page: 1, limit: 1, total: 2, pages: 2 });
+      expect(firstPage.body.results).toHaveLength(1);
+      expect(secondPage.body.results).toHaveLength(1);
+      expect(secondPage.body.results[0].asin).not.toBe(firstPage.body.results[0].asin);
+    });
 
-  describe('GET /api/products/:id', () => {
-    it('should return product details for valid ASIN', async () => {
+    it('should return an empty page past the last result', async () => {
       const response = await request(app)
-        .get('/api/products/B014TMV5YE')
+        .get('/api/search?query=luggage&page=3&limit=1')
         .expect(200);
 
-      expect(response.body).toHaveProperty('asin', 'B014TMV5YE');
-      expect(response.body).toHaveProperty('title');
-      expect(response.body).toHaveProperty('price');
-      expect(response.body).toHaveProperty('category_id');
-      expect(response.body).toHaveProperty('stars');
-      expect(response.body).toHaveProperty('reviews');
-      expect(response.body).toHaveProperty('isBestSeller');
-      expect(response.body).toHaveProperty('boughtInLastMonth');
+      expect(response.body.results).toEqual([]);
+      expect(response.body.pagination.total).toBe(2);
     });
 
-    it('should return 404 for invalid product ASIN', async () => {
+    it('should reject invalid pagination parameters', async () => {
+      await request(app).get('/api/search?query=luggage&page=0').expect(400);
+      await request(app).get('/api/search?query=luggage&limit=abc').expect(400);
+      await request(app).get('/api/search?query=luggage&limit=1000').expect(400);
+
       const response = await request(app)
-        .get('/api/products/INVALID_ASIN')
-        .expect(404);
+        .get('/api/search?query=luggage&page=200&limit=100')
+        .expect(400);
 
-      expect(response.body).toHaveProperty('error', 'Product not found');
+      expect(response.body.error).toBe('Invalid pagination parameters');
     });
-  });
-});
 
-describe('Categories API', () => {
-  let app;
+    it('should translate page and limit into Elasticsearch from/size', async () => {
+      elasticsearchClient.search.mockResolvedValueOnce(esSearchResponse({
+        total: 1234,
+        hits: [{ _id: 'B08N5WRWNW', _score: 1.2, _source: { asin: 'B08N5WRWNW', title: 'Samsonite' } }],
+      }));
 
-  beforeAll(() => {
-    const application = new Application();
-    app = application.initialize();
-  });
+      const response = await request(app)
+        .get('/api/search?query=luggage&page=3&limit=20')
+        .expect(200);
 
-  describe('GET /api/categories', () => {
-    it('should return list of categories', async () => {
+      const { body } = lastSearchRequest();
+      expect(body.from).toBe(40);
+      expect(body.size).toBe(20);
+      expect(body.track_total_hits).toBe(true);
+      expect(response.body.pagination).toEqual({ page: 3, limit: 20, total: 1234, pages: 62 });
+    });
+
+    it('should sort fallback results by the requested sort mode', async () => {
+      const ascending = await request(app)
+        .get('/api/search?query=luggage&sort=price_asc')
+        .expect(200);
+      const descending = await request(app)
+        .get('/api/search?query=luggage&sort=price_desc')
+        .expect(200);
+
+      expect(ascending.body.sort).toBe('price_asc');
+      expect(ascending.body.results.map(p => p.price)).toEqual([119.99, 139.99]);
+      expect(descending.body.results.map(p => p.price)).toEqual([139.99, 119.99]);
+    });
+
+    it('should sort by biggest discount', async () => {
       const response = await request(app)
-        .get('/api/categories')
+        .get('/api/search?query=luggage%20earbuds&sort=biggest_discount')
         .expect(200);
-      
-      expect(response.body).toHaveProperty('categories');
-      expect(Array.isArray(response.body.categories)).toBe(true);
-      expect(response.body.categories.length).toBeGreaterThan(0);
-      
-      const category = response.body.categories[0];
-      expect(category).toHaveProperty('id');
-      expect(category).toHaveProperty('name');
-      expect(category).toHaveProperty('count');
+
+      expect(response.body.results.map(p => p.asin)).toEqual([
+        'B08N5WRWNW',
+        'B07ZPKN6YR',
+        'B014TMV5YE',
+      ]);
+    });
+
+    it('should default to relevance sort', async () => {
+      const response = await request(app)
+        .get('/api/search?query=luggage')
+        .expect(200);
+
+      expect(response.body.sort).toBe('relevance');
+    });
+
+    it('should reject unknown sort modes', async () => {
+      const response = await request(app)
+        .get('/api/search?query=luggage&sort=cheapest')
+        .expect(400);
+
+      expect(response.body.error).toBe('Invalid sort parameter');
+    });
+
+    it('should filter by discount and sale status with derived fields', async () => {
+      const response = await request(app)
+        .get('/api/search?query=luggage%20earbuds&minDiscount=20&sort=biggest_discount')
+        .expect(200);
+
+      expect(response.body.results).toHaveLength(1);
+      expect(response.body.results[0]).toMatchObject({
+        asin: 'B08N5WRWNW',
+        discountAmount: 40,
+        discountPercent: 25,
+        onSale: true,
+      });
+
+      const onSale = await request(app)
+        .get('/api/search?query=luggage&onSale=true')
+        .expect(200);
+
+      // The Sion suitcase has no list price (0.0) so it is never on sale
+      expect(onSale.body.results.map(p => p.asin)).toEqual(['B08N5WRWNW']);
+    });
+
+    it('should send discount filters to Elasticsearch', async () => {
+      elasticsearchClient.search.mockResolvedValueOnce(esSearchResponse({ total: 5 }));
+
+      await request(app)
+        .get('/api/search?query=luggage&minDiscount=15&onSale=true')
+        .expect(200);
+
+      expect(lastSearchBool().filter).toEqual([
+        { range: { discountPercent: { gte: 15 } } },
+        { term: { onSale: true } },
+      ]);
+    });
+
+    it('should accept repeated, comma-separated and excluded filter values', async () => {
+      const search = async (params) => (await request(app)
+        .get(`/api/search?query=luggage%20earbuds&sort=price_asc&${params}`)
+        .expect(200)).body.results.map(p => p.asin);
+
+      expect(await search('category_id=104&category_id=201')).toEqual(['B08N5WRWNW', 'B014TMV5YE', 'B07ZPKN6YR']);
+      expect(await search('category_id=201,250')).toEqual(['B07ZPKN6YR']);
+      expect(await search('excludeCategory=201')).toEqual(['B08N5WRWNW', 'B014TMV5YE']);
+      expect(await search('asin=B07ZPKN6YR,B014TMV5YE')).toEqual(['B014TMV5YE', 'B07ZPKN6YR']);
+      expect(await search('excludeAsin=B08N5WRWNW&excludeAsin=B014TMV5YE')).toEqual(['B07ZPKN6YR']);
+    });
+
+    it('should send multi-value and negated filters to Elasticsearch', async () => {
+      elasticsearchClient.search.mockResolvedValueOnce(esSearchResponse({ total: 5 }));
+
+      await request(app)
+        .get('/api/search?query=headphones&category_id=201,202&excludeCategory=250&excludeAsin=B0BSHF7WHW')
+        .expect(200);
+
+      const { body } = lastSearchRequest();
+      expect(body.post_filter.bool.filter).toEqual([{ terms: { category_id: [201, 202] } }]);
+      expect(lastSearchBool().filter).toEqual([
+        { bool: { must_not: [{ terms: { category_id: [250] } }] } },
+        { bool: { must_not: [{ terms: { asin: ['B0BSHF7WHW'] } }] } },
+      ]);
+    });
+
+    it('should reject category filters that are not ids', async () => {
+      const response = await request(app)
+        .get('/api/search?query=luggage&excludeCategory=250,abc')
+        .expect(400);
+
+      expect(response.body.error).toBe('Invalid excludeCategory filter');
+    });
+
+    it('should send the selected sort mode to Elasticsearch', async () => {
+      elasticsearchClient.search.mockResolvedValueOnce(esSearchResponse());
+
+      await request(app)
+        .get('/api/search?query=luggage&sort=biggest_discount')
+        .expect(200);
+
+      const { body } = lastSearchRequest();
+      expect(body.sort[0]).toEqual({ discountPercent: { order: 'desc' } });
+      expect(body.sort.at(-1)).toEqual({ asin: { order: 'asc' } });
+    });
+
+    it('should return facets computed by the fallback search', async () => {
+      const response = await request(app)
+        .get('/api/search?query=luggage%20earbuds&category_id=104')
+        .expect(200);
+
+      const { facets } = response.body;
+
+      // Category counts ignore the active category filter so other categories stay selectable
+      expect(facets.categories).toEqual([
+        { id: 104, name: 'Luggage & Travel Gear', count: 2 },
+        { id: 201, name: 'Headphones & Earbuds', count: 1 },
+      ]);
+      expect(facets.price.find(b => b.key === '100-200').count).toBe(2);
+      expect(facets.stars.find(b => b.key === '4+').count).toBe(2);
+      expect(facets.bestSeller).toEqual({ count: 1 });
+    });
+
+    it('should narrow fallback facets by filters without a facet', async () => {
+      const excluded = await request(app)
+        .get('/api/search?query=luggage%20earbuds&excludeCategory=104')
+        .expect(200);
+
+      expect(excluded.body.facets.categories).toEqual([
+        { id: 201, name: 'Headphones & Earbuds', count: 1 },
+      ]);
+
+      const operator = await request(app)
+        .get('/api/search?query=luggage%20category:201')
+        .expect(200);
+
+      expect(operator.body.pagination.total).toBe(0);
+      expect(operator.body.facets.categories).toEqual([]);
+      expect(operator.body.facets.bestSeller).toEqual({ count: 0 });
+
+      const onSale = await request(app)
+        .get('/api/search?query=luggage&onSale=true')
+        .expect(200);
+
+      expect(onSale.body.facets.categories).toEqual([
+        { id: 104, name: 'Luggage & Travel Gear', count: 1 },
+      ]);
+    });
+
+    it('should build facet aggregations that exclude their own filter', async () => {
+      elasticsearchClient.search.mockResolvedValueOnce(esSearchResponse({
+        aggregations: {
+          categories: { doc_count: 3, buckets: { buckets: [{ key: 201, doc_count: 3 }] } },
+        },
+      }));
+
+      const response = await request(app)
+        .get('/api/search?query=earbuds&category_id=201&minStars=4')
+        .expect(200);
+
+      const { body } = lastSearchRequest();
+      expect(body.post_filter.bool.filter).toEqual([
+        { terms: { category_id: [201] } },
+        { range: { stars: { gte: 4 } } },
+      ]);
+      expect(body.aggs.categories.filter.bool.filter).toEqual([{ range: { stars: { gte: 4 } } }]);
+      expect(body.aggs.stars.filter.bool.filter).toEqual([{ terms: { category_id: [201] } }]);
+      expect(response.body.facets.categories).toEqual([
+        { id: 201, name: 'Headphones & Earbuds', count: 3 },
+      ]);
+    });
+
+    it('should suggest a spelling correction for zero-result fallback searches', async () => {
+      const response = await request(app)
+        .get('/api/search?query=samsonte')
+        .expect(200);
+
+      expect(response.body.pagination.total).toBe(0);
+      expect(response.body.suggestion).toBe('samsonite');
+      expect(response.body).not.toHaveProperty('autoCorrected');
+    });
+
+    it('should auto-run the corrected query when requested', async () => {
+      const response = await request(app)
+        .get('/api/search?query=samsonte&autoCorrect=true')
+        .expect(200);
+
+      expect(response.body.query).toBe('samsonte');
+      expect(response.body.autoCorrected).toBe(true);
+      expect(response.body.correctedQuery).toBe('samsonite');
+      expect(response.body.results.map(p => p.asin)).toEqual(['B08N5WRWNW']);
+    });
+
+    it('should walk cursors of the query as typed when autoCorrect is requested', async () => {
+      const unpaged = await request(app)
+        .get('/api/search?query=expandable airpds&autoCorrect=true')
+        .expect(200);
+      expect(unpaged.body.autoCorrected).toBe(true);
+
+      const first = await request(app)
+        .get('/api/search?query=expandable airpds&autoCorrect=true&cursor=*&limit=1')
+        .expect(200);
+
+      expect(first.body).not.toHaveProperty('autoCorrected');
+      expect(first.body.suggestion).toBe('expandable airpods');
+      expect(first.body.pagination.total).toBe(2);
+
+      const second = await request(app)
+        .get(`/api/search?query=expandable airpds&autoCorrect=true&limit=1&cursor=${first.body.cursor}`)
+        .expect(200);
+
+      expect(second.body.results).toHaveLength(1);
+      expect(second.body.results[0].asin).not.toBe(first.body.results[0].asin);
+      expect(second.body.cursor).toBeNull();
+    });
+
+    it('should relax filters of zero-result searches in order when requested', async () => {
+      const response = await request(app)
+        .get('/api/search?query=samsonite&maxPrice=20&minStars=4.9&relax=true')
+        .expect(200);
+
+      expect(response.body.filters).toMatchObject({ maxPrice: '20', minStars: '4.9' });
+      expect(response.body.results.map(p => p.asin)).toEqual(['B08N5WRWNW']);
+      expect(response.body.relaxed).toEqual({
+        query: 'samsonite',
+        mode: 'any',
+        filters: {},
+        steps: [
+          { constraint: 'stars', action: 'dropped', from: { minStars: '4.9' } },
+          { constraint: 'price', action: 'widened', from: { maxPrice: '20' }, to: { maxPrice: 40 } },
+          { constraint: 'price', action: 'dropped', from: { maxPrice: 40 } },
+        ],
+      });
+    });
+
+    it('should loosen the text match last and report when relaxing finds nothing', async () => {
+      const loosened = await request(app)
+        .get('/api/search?query=samsonite%20-luggage&mode=all&relax=true')
+        .expect(200);
+
+      expect(loosened.body.results.map(p => p.asin)).toEqual(['B08N5WRWNW']);
+      expect(loosened.body.relaxed.steps).toEqual([{
+        constraint: 'text',
+        action: 'loosened',
+        from: { query: 'samsonite -luggage', mode: 'all' },
+        to: { query: 'samsonite', mode: 'any' },
+      }]);
+
+      const exhausted = await request(app)
+        .get('/api/search?query=zzqqxx&minStars=4&relax=true')
+        .expect(200);
+
+      expect(exhausted.body.pagination.total).toBe(0);
+      expect(exhausted.body.relaxed).toBeNull();
+
+      const notRequested = await request(app)
+        .get('/api/search?query=samsonite&maxPrice=20')
+        .expect(200);
+
+      expect(notRequested.body.pagination.total).toBe(0);
+      expect(notRequested.body).not.toHaveProperty('relaxed');
+    });
+
+    it('should not suggest corrections for correctly spelled queries', async () => {
+      const response = await request(app)
+        .get('/api/search?query=luggage')
+        .expect(200);
+
+      expect(response.body.suggestion).toBeNull();
+    });
+
+    it('should use the Elasticsearch phrase suggester for low-result searches', async () => {
+      elasticsearchClient.search
+        .mockResolvedValueOnce(esSearchResponse())
+        .mockResolvedValueOnce({
+          suggest: { correction: [{ text: 'samsonit luggag', options: [{ text: 'samsonite luggage', score: 0.4 }] }] },
+        });
+
+      const response = await request(app)
+        .get('/api/search?query=samsonit%20luggag')
+        .expect(200);
+
+      const [params] = elasticsearchClient.search.mock.calls.at(-1);
+      expect(params.body.suggest.correction.phrase.field).toBe('title.shingle');
+      expect(response.body.suggestion).toBe('samsonite luggage');
+    });
+
+    it('should highlight matched title words in fallback results', async () => {
+      const response = await request(app)
+        .get('/api/search?query=luggage&highlight=true&preTag=<b>&postTag=</b>&sort=price_asc')
+        .expect(200);
+
+      expect(response.body.results[0]._highlight.title).toEqual([
+        'Samsonite Omni PC Hardside Expandable <b>Luggage</b> with Spinner Wheels',
+      ]);
+    });
+
+    it('should only highlight whole words the fallback matched', async () => {
+      const response = await request(app)
+        .get('/api/search?query=luggage s&highlight=true&preTag=<b>&postTag=</b>&sort=price_asc')
+        .expect(200);
+
+      expect(response.body.results.map(product => product._highlight.title[0])).toEqual([
+        'Samsonite Omni PC Hardside Expandable <b>Luggage</b> with Spinner Wheels',
+        'Sion Softside Expandable Roller <b>Luggage</b>, Black, Checked-Large 29-Inch',
+      ]);
+    });
+
+    it('should not highlight unless asked to', async () => {
+      const response = await request(app)
+        .get('/api/search?query=luggage')
+        .expect(200);
+
+      response.body.results.forEach(product => expect(product).not.toHaveProperty('_highlight'));
+    });
+
+    it('should request HTML-encoded highlighting from Elasticsearch', async () => {
+      elasticsearchClient.search.mockResolvedValueOnce(esSearchResponse({
+        total: 10,
+        hits: [{
+          _id: 'B07ZPKN6YR',
+          _score: 2,
+          _source: { asin: 'B07ZPKN6YR', title: 'Apple AirPods Pro' },
+          highlight: { title: ['Apple <em>AirPods</em> Pro'] },
+        }],
+      }));
+
+      const response = await request(app)
+        .get('/api/search?query=airpods&highlight=true')
+        .expect(200);
+
+      const { body } = lastSearchRequest();
+      expect(body.highlight).toEqual({
+        pre_tags: ['<em>'],
+        post_tags: ['</em>'],
+        encoder: 'html',
+        fields: { title: { number_of_fragments: 0 } },
+      });
+      expect(response.body.results[0]._highlight.title).toEqual(['Apple <em>AirPods</em> Pro']);
+    });
+
+    it('should apply phrases, exclusions and field operators from the query', async () => {
+      const response = await request(app)
+        .get('/api/search?query=' + encodeURIComponent('luggage -hardside price:<200 stars:>=4 category:104'))
+        .expect(200);
+
+      expect(response.body.results.map(product => product.asin)).toEqual(['B014TMV5YE']);
+
+      const phrase = await request(app)
+        .get('/api/search?query=' + encodeURIComponent('"spinner wheels" -category:201'))
+        .expect(200);
+
+      expect(phrase.body.results.map(product => product.asin)).toEqual(['B08N5WRWNW']);
+    });
+
+    it('should translate query syntax into Elasticsearch clauses', async () => {
+      elasticsearchClient.search.mockResolvedValueOnce(esSearchResponse({ total: 5 }));
+
+      await request(app)
+        .get('/api/search?query=' + encodeURIComponent('luggage "carry on" -hardside price:<100 -bestseller:true'))
+        .expect(200);
+
+      const bool = lastSearchBool();
+      expect(bool.must[0].multi_match.query).toBe('luggage');
+      expect(bool.must[1]).toEqual({ match_phrase: { title: 'carry on' } });
+      expect(bool.must_not).toEqual([{ match_phrase: { title: 'hardside' } }]);
+      expect(bool.filter).toEqual([
+        { range: { price: { lt: 100 } } },
+        { bool: { must_not: [{ term: { isBestSeller: true } }] } },
+      ]);
+    });
+
+    it('should report query syntax errors with their position', async () => {
+      const response = await request(app)
+        .get('/api/search?query=' + encodeURIComponent('luggage price:<abc'))
+        .expect(400);
+
+      expect(response.body.error).toBe('Invalid query syntax');
+      expect(response.body.position).toBe(8);
+      expect(response.body.token).toBe('price:<abc');
+    });
+
+    it('should read unknown fields and unbalanced quotes as plain text', async () => {
+      const response = await request(app)
+        .get('/api/search?query=' + encodeURIComponent('"samsonite color:black') + '&sort=price_asc')
+        .expect(200);
+
+      // Read as the words samsonite, color and black
+      expect(response.body.results.map(product => product.asin)).toEqual(['B08N5WRWNW', 'B014TMV5YE']);
+    });
+
+    it('should honor match modes in fallback searches', async () => {
+      const search = async (query, mode) => (await request(app)
+        .get(`/api/search?query=${encodeURIComponent(query)}&mode=${encodeURIComponent(mode)}&sort=price_asc`)
+        .expect(200)).body.results.map(product => product.asin);
+
+      expect(await search('wireless luggage', 'any')).toEqual(['B08N5WRWNW', 'B014TMV5YE', 'B07ZPKN6YR']);
+      expect(await search('wireless luggage', 'all')).toEqual([]);
+      expect(await search('expandable luggage', 'all')).toEqual(['B08N5WRWNW', 'B014TMV5YE']);
+      expect(await search('expandable luggage', 'phrase')).toEqual(['B08N5WRWNW']);
+      expect(await search('spinner wheels luggage black', '75%')).toEqual(['B08N5WRWNW']);
+      expect(await search('spinner wheels luggage black', '50%')).toEqual(['B08N5WRWNW', 'B014TMV5YE']);
+    });
+
+    it('should send match modes to Elasticsearch', async () => {
+      const multiMatchFor = async (mode) => {
+        elasticsearchClient.search.mockResolvedValueOnce(esSearchResponse({ total: 5 }));
+        const response = await request(app)
+          .get(`/api/search?query=wireless%20headphones&mode=${encodeURIComponent(mode)}`)
+          .expect(200);
+        expect(response.body.mode).toBe(mode);
+        return lastSearchBool().must[0].multi_match;
+      };
+
+      expect(await multiMatchFor('any')).toMatchObject({ operator: 'or', fuzziness: 'AUTO' });
+      expect(await multiMatchFor('all')).toMatchObject({ operator: 'and', fuzziness: 'AUTO' });
+      expect(await multiMatchFor('75%')).toMatchObject({ operator: 'or', minimum_should_match: '75%' });
+
+      const phrase = await multiMatchFor('phrase');
+      expect(phrase.type).toBe('phrase');
+      expect(phrase).not.toHaveProperty('fuzziness');
+    });
+
+    it('should wrap the query in the selected ranking profile', async () => {
+      elasticsearchClient.search
+        .mockResolvedValueOnce(esSearchResponse({ total: 5 }))
+        .mockResolvedValueOnce(esSearchResponse({ total: 5 }));
+
+      const popular = await request(app)
+        .get('/api/search?query=luggage&profile=popular')
+        .expect(200);
+
+      const { function_score: functionScore } = lastSearchRequest().body.query;
+      expect(popular.body.profile).toBe('popular');
+      expect(functionScore.functions).toEqual(config.ranking.profiles.popular.functions);
+      expect(functionScore.boost_mode).toBe('multiply');
+      expect(functionScore.query.bool.must[0].multi_match.query).toBe('luggage');
+
+      await request(app)
+        .get('/api/search?query=luggage&profile=text')
+        .expect(200);
+
+      expect(lastSearchRequest().body.query).toHaveProperty('bool');
+    });
+
+    it('should apply the default ranking profile and reject unknown ones', async () => {
+      elasticsearchClient.search.mockResolvedValueOnce(esSearchResponse({ total: 5 }));
+
+      const response = await request(app)
+        .get('/api/search?query=luggage')
+        .expect(200);
+
+      expect(response.body.profile).toBe('balanced');
+      expect(lastSearchRequest().body.query.function_score.functions)
+        .toEqual(config.ranking.profiles.balanced.functions);
+
+      await request(app).get('/api/search?query=luggage&profile=trending').expect(400);
+    });
+
+    it('should reject unknown match modes', async () => {
+      await request(app).get('/api/search?query=luggage&mode=some').expect(400);
+      await request(app).get('/api/search?query=luggage&mode=0%25').expect(400);
+    });
+
+    it('should walk fallback results with a cursor', async () => {
+      const first = await request(app)
+        .get('/api/search?query=luggage&limit=1&cursor=*')
+        .expect(200);
+
+      expect(first.body.results).toHaveLength(1);
+      expect(first.body.pagination).toEqual({ limit: 1, total: 2 });
+      expect(typeof first.body.cursor).toBe('string');
+
+      const second = await request(app)
+        .get(`/api/search?query=luggage&limit=1&cursor=${first.body.cursor}`)
+        .expect(200);
+
+      expect(second.body.results).toHaveLength(1);
+      expect(second.body.results[0].asin).not.toBe(first.body.results[0].asin);
+      expect(second.body.cursor).toBeNull();
+    });
+
+    it('should reject invalid, foreign and misused cursors', async () => {
+      const invalid = await request(app)
+        .get('/api/search?query=luggage&cursor=not-a-cursor')
+        .expect(400);
+      expect(invalid.body.error).toBe('Invalid cursor');
+
+      const { body } = await request(app)
+        .get('/api/search?query=luggage&limit=1&cursor=*')
+        .expect(200);
+      const foreign = await request(app)
+        .get(`/api/search?query=earbuds&limit=1&cursor=${body.cursor}`)
+        .expect(400);
+      expect(foreign.body.error).toBe('Cursor does not match this search');
+
+      await request(app).get('/api/search?query=luggage&page=2&cursor=*').expect(400);
+    });
+
+    it('should page Elasticsearch cursors with a point in time and search_after', async () => {
+      elasticsearchClient.openPointInTime.mockResolvedValueOnce({ id: 'pit-1' });
+      elasticsearchClient.search
+        .mockResolvedValueOnce(esSearchResponse({
+          pit_id: 'pit-2',
+          total: 2,
+          hits: [{ _id: 'B08N5WRWNW', _score: 1.5, _source: { asin: 'B08N5WRWNW' }, sort: [1.5, 1, 4.7, 5000, 'B08N5WRWNW'] }],
+        }))
+        .mockResolvedValueOnce({ suggest: { correction: [{ text: 'luggage', options: [] }] } })
+        .mockResolvedValueOnce(esSearchResponse({ pit_id: 'pit-2', total: 2 }));
+
+      const first = await request(app)
+        .get('/api/search?query=luggage&limit=1&cursor=*')
+        .expect(200);
+
+      const firstRequest = lastSearchRequest();
+      expect(firstRequest.index).toBeUndefined();
+      expect(firstRequest.body.pit.id).toBe('pit-1');
+      expect(firstRequest.body.from).toBeUndefined();
+      expect(firstRequest.body.sort.at(-1)).toEqual({ asin: { order: 'asc' } });
+
+      const second = await request(app)
+        .get(`/api/search?query=luggage&limit=1&cursor=${first.body.cursor}`)
+        .expect(200);
+
+      const secondRequest = lastSearchRequest();
+      expect(secondRequest.body.pit.id).toBe('pit-2');
+      expect(secondRequest.body.search_after).toEqual([1.5, 1, 4.7, 5000, 'B08N5WRWNW']);
+      expect(second.body.cursor).toBeNull();
+      expect(elasticsearchClient.closePointInTime).toHaveBeenCalledWith({ id: 'pit-2' });
+    });
+  });
+
+  describe('Relevance debugging', () => {
+    afterEach(() => {
+      config.admin.apiKey = undefined;
+    });
+
+    it('should report the Elasticsearch request and the fallback in debug mode', async () => {
+      const { body } = await request(app)
+        .get('/api/search?query=luggage&debug=true')
+        .expect(200);
+
+      expect(body.debug).toMatchObject({
+        backend: 'memory',
+        fallback: true,
+        took: null,
+        error: 'ES not available in tests',
+        request: { index: config.elasticsearch.index, body: { explain: true, from: 0 } },
+      });
+      expect(body.debug.request.body.profile).toBeUndefined();
+
+      const plain = await request(app).get('/api/search?query=luggage').expect(200);
+      expect(plain.body).not.toHaveProperty('debug');
+    });
+
+    it('should return score explanations, took and profile output from Elasticsearch', async () => {
+      const explanation = { value: 1.5, description: 'weight(title:luggage)', details: [] };
+      elasticsearchClient.search.mockResolvedValueOnce(esSearchResponse({
+        took: 7,
+        hits: [{ _id: 'B08N5WRWNW', _score: 1.5, _source: { asin: 'B08N5WRWNW', title: 'Luggage' }, _explanation: explanation }],
+        profile: { shards: [{ id: '[node][products][0]', searches: [] }] },
+      }));
+
+      const { body } = await request(app)
+        .get('/api/search?query=luggage&queryProfile=true&fields=title')
+        .expect(200);
+
+      expect(lastSearchRequest().body).toMatchObject({ explain: true, profile: true });
+      expect(body.results[0]).toEqual({ asin: 'B08N5WRWNW', title: 'Luggage', _explanation: explanation });
+      expect(body.debug).toMatchObject({ backend: 'elasticsearch', fallback: false, took: 7 });
+      expect(body.debug.request.body).toEqual(lastSearchRequest().body);
+      expect(body.debug.profile.shards).toHaveLength(1);
+    });
+
+    it('should only debug searches of admins', async () => {
+      config.admin.apiKey = 'secret';
+
+      const rejected = await request(app).get('/api/search?query=luggage&debug=true').expect(401);
+      expect(rejected.body.error).toBe('Unauthorized');
+
+      await request(app).post('/api/search').send({ query: 'luggage', queryProfile: true }).expect(401);
+      await request(app).get('/api/search?query=luggage').expect(200);
+      await request(app)
+        .get('/api/search?query=luggage&debug=true')
+        .set('X-Admin-Key', 'secret')
+        .expect(200);
+    });
+  });
+
+  describe('POST /api/search', () => {
+    const expression = {
+      or: [
+        { and: [{ term: { category_id: 104 } }, { range: { price: { lt: 130 } } }] },
+        { and: [{ term: { category_id: 201 } }, { term: { isBestSeller: true } }] },
+      ],
+    };
+
+    it('should apply nested filter expressions in the fallback search', async () => {
+      const { body } = await request(app)
+        .post('/api/search')
+        .send({ filter: expression, sort: 'price_asc', fields: 'price' })
+        .expect(200);
+
+      expect(body.results.map(product => product.asin)).toEqual(['B08N5WRWNW', 'B07ZPKN6YR']);
+      expect(body.pagination).toMatchObject({ page: 1, total: 2 });
+
+      const negated = await request(app)
+        .post('/api/search')
+        .send({ query: 'luggage', filter: { not: expression }, filters: { maxPrice: 200 } })
+        .expect(200);
+
+      expect(negated.body.results.map(product => product.asin)).toEqual(['B014TMV5YE']);
+    });
+
+    it('should compile filter expressions to an Elasticsearch bool query', async () => {
+      elasticsearchClient.search.mockResolvedValueOnce(esSearchResponse());
+
+      await request(app)
+        .post('/api/search')
+        .send({ query: 'luggage', filter: { and: [expression, { exists: { field: 'listPrice' } }] } })
+        .expect(200);
+
+      expect(lastSearchBool().filter).toContainEqual({
+        bool: {
+          filter: [
+            {
+              bool: {
+                should: [
+                  { bool: { filter: [{ term: { category_id: 104 } }, { range: { price: { lt: 130 } } }] } },
+                  { bool: { filter: [{ term: { category_id: 201 } }, { term: { isBestSeller: true } }] } },
+                ],
+                minimum_should_match: 1,
+              },
+            },
+            { exists: { field: 'listPrice' } },
+          ],
+        },
+      });
+    });
+
+    it('should reject invalid bodies and filter expressions', async () => {
+      const operator = await request(app)
+        .post('/api/search')
+        .send({ filter: { or: [{ range: { price: { below: 100 } } }] } })
+        .expect(400);
+      expect(operator.body).toMatchObject({ error: 'Invalid filter expression', path: 'filter.or[0].range.price' });
+
+      const type = await request(app)
+        .post('/api/search')
+        .send({ filter: { term: { isBestSeller: 'true' } } })
+        .expect(400);
+      expect(type.body.message).toMatch(/^filter\.term\.isBestSeller must be a single boolean value/);
+
+      const field = await request(app)
+        .post('/api/search')
+        .send({ filter: { exists: { field: 'secret' } } })
+        .expect(400);
+      expect(field.body.error).toBe('Invalid filter expression');
+
+      const body = await request(app)
+        .post('/api/search')
+        .send({ query: 42 })
+        .expect(400);
+      expect(body.body.error).toBe('Invalid request body');
+    });
+  });
+
+  describe('POST /api/search/batch', () => {
+    it('should answer every search of a batch with its own status', async () => {
+      const { body } = await request(app)
+        .post('/api/search/batch')
+        .send({
+          searches: [
+            { query: 'luggage', filters: { maxPrice: 150 }, sort: 'price_asc', limit: 2 },
+            { query: 'luggage', sort: 'cheapest' },
+            { filters: { category_id: [104] }, fields: 'title', facets: false },
+            { query: 'luggage', filters: { category_id: 'abc' } },
+          ],
+        })
+        .expect(200);
+
+      const [priced, badSort, category, badFilter] = body.responses;
+
+      expect(priced.status).toBe(200);
+      expect(priced.searchId).toEqual(expect.any(String));
+      expect(priced.pagination).toMatchObject({ page: 1, limit: 2 });
+      expect(priced.results.length).toBeLessThanOrEqual(2);
+      expect(priced.results.every(product => product.price <= 150)).toBe(true);
+      expect(priced.facets).toHaveProperty('categories');
+
+      expect(badSort).toMatchObject({ status: 400, error: 'Invalid sort parameter' });
+
+      expect(category.status).toBe(200);
+      expect(category.facets).toBeNull();
+      expect(category.results.length).toBeGreaterThan(0);
+      expect(Object.keys(category.results[0]).sort()).toEqual(['asin', 'title']);
+
+      expect(badFilter).toMatchObject({ status: 400, error: 'Invalid category_id filter' });
+    });
+
+    it('should send the batch as one multi-search and fall back for failed items', async () => {
+      elasticsearchClient.msearch.mockResolvedValueOnce({
+        responses: [
+          esSearchResponse({ hits: [{ _id: 'B08N5WRWNW', _score: 2, _source: { asin: 'B08N5WRWNW' } }] }),
+          { status: 500, error: { type: 'search_phase_execution_exception', reason: 'all shards failed' } },
+        ],
+      });
+
+      const { body } = await request(app)
+        .post('/api/search/batch')
+        .send({ searches: [{ query: 'luggage', page: 2, limit: 3 }, { query: 'luggage' }] })
+        .expect(200);
+
+      const [{ index, searches }] = elasticsearchClient.msearch.mock.calls.at(-1);
+      expect(index).toBe(config.elasticsearch.index);
+      expect(searches).toHaveLength(4);
+      expect(searches[1]).toMatchObject({ from: 3, size: 3 });
+
+      expect(body.responses[0]).toMatchObject({ status: 200, pagination: { total: 1 } });
+      expect(body.responses[0].results[0].asin).toBe('B08N5WRWNW');
+      expect(body.responses[1].status).toBe(200);
+      expect(body.responses[1].results.length).toBeGreaterThan(0);
+    });
+
+    it('should reject missing, empty and oversized batches', async () => {
+      await request(app).post('/api/search/batch').send({}).expect(400);
+      await request(app).post('/api/search/batch').send({ searches: [] }).expect(400);
+
+      const oversized = await request(app)
+        .post('/api/search/batch')
+        .send({ searches: Array.from({ length: config.search.maxBatchSize + 1 }, () => ({ query: 'luggage' })) })
+        .expect(400);
+      expect(oversized.body).toHaveProperty('error', 'Invalid request body');
+    });
+  });
+
+  describe('GET /api/search/export', () => {
+    it('should stream matching products as a CSV attachment', async () => {
+      const response = await request(app)
+        .get('/api/search/export?format=csv&query=luggage&fields=title,price&sort=price_asc')
+        .expect(200);
+
+      expect(response.headers['content-type']).toBe('text/csv; charset=utf-8');
+      expect(response.headers['content-disposition']).toMatch(/^attachment; filename="products-.+\.csv"$/);
+
+      const [header, ...rows] = response.text.trim().split('\r\n');
+      expect(header).toBe('asin,title,price');
+      expect(rows.length).toBeGreaterThan(1);
+      expect(rows[0]).toMatch(/^B[0-9A-Z]{9},/);
+      expect(rows.some(row => row.includes('"'))).toBe(true);
+    });
+
+    it('should stream every product matching the filters as NDJSON', async () => {
+      const response = await request(app)
+        .get('/api/search/export?category_id=104')
+        .buffer(true)
+        .parse((res, callback) => {
+          let text = '';
+          res.on('data', chunk => { text += chunk; });
+          res.on('end', () => callback(null, text));
+        })
+        .expect(200);
+
+      expect(response.headers['content-type']).toBe('application/x-ndjson; charset=utf-8');
+
+      const products = response.body.trim().split('\n').map(line => JSON.parse(line));
+      expect(products.length).toBeGreaterThan(0);
+      expect(products.every(product => product.category_id === 104)).toBe(true);
+      expect(products[0]).not.toHaveProperty('_score');
+    });
+
+    it('should reject invalid formats and queries before streaming', async () => {
+      const format = await request(app)
+        .get('/api/search/export?format=xlsx&query=luggage')
+        .expect(400);
+      expect(format.body).toHaveProperty('error', 'Invalid format parameter');
+
+      const fields = await request(app)
+        .get('/api/search/export?query=luggage&fields=secret')
+        .expect(400);
+      expect(fields.body).toHaveProperty('error', 'Invalid fields parameter');
+    });
+
+    it('should read Elasticsearch results in point in time batches without facets', async () => {
+      elasticsearchClient.openPointInTime.mockResolvedValueOnce({ id: 'pit-1' });
+      elasticsearchClient.search.mockResolvedValueOnce(esSearchResponse({
+        pit_id: 'pit-2',
+        hits: [{ _id: 'B08N5WRWNW', _score: 1.5, _source: { asin: 'B08N5WRWNW', title: 'Luggage' }, sort: [1.5, 'B08N5WRWNW'] }],
+      }));
+
+      const response = await request(app)
+        .get('/api/search/export?format=csv&query=luggage&fields=title')
+        .expect(200);
+
+      expect(response.text).toBe('asin,title\r\nB08N5WRWNW,Luggage\r\n');
+
+      const { body } = lastSearchRequest();
+      expect(body.pit.id).toBe('pit-1');
+      expect(body.size).toBe(config.export.batchSize);
+      expect(body._source).toEqual(['asin', 'title']);
+      expect(body.aggs).toBeUndefined();
+      expect(elasticsearchClient.closePointInTime).toHaveBeenCalledWith({ id: 'pit-2' });
+    });
+  });
+});
+
+describe('Hybrid Search', () => {
+  let application;
+  let app;
+
+  // Search hit of an Elasticsearch response for the given product
+  const hit = (asin, score) => ({ _id: asin, _score: score, _source: { asin, title: asin } });
+
+  beforeAll(() => {
+    config.vector.enabled = true;
+    application = new Application();
+    app = application.initialize();
+  });
+
+  afterAll(() => {
+    config.vector.enabled = false;
+  });
+
+  it('should fuse the lexical and nearest neighbour rankings in memory', async () => {
+    const { body } = await request(app)
+      .get('/api/search?query=samsonite&mode=hybrid')
+      .expect(200);
+
+    expect(body.mode).toBe('hybrid');
+    expect(body.results[0].asin).toBe('B08N5WRWNW');
+    expect(body.results[0]._score).toBeCloseTo(2 / 61);
+    // Nearest neighbours without the word are ranked after it
+    expect(body.pagination.total).toBe(3);
+
+    const filtered = await request(app)
+      .get('/api/search?query=samsonite&mode=hybrid&category_id=201')
+      .expect(200);
+
+    expect(filtered.body.results.map(product => product.asin)).toEqual(['B07ZPKN6YR']);
+  });
+
+  it('should send a lexical and a kNN search in one msearch and fuse them by rank', async () => {
+    elasticsearchClient.msearch.mockResolvedValueOnce({
+      took: 5,
+      responses: [
+        esSearchResponse({ hits: [hit('B08N5WRWNW', 9.1), hit('B0BSHF7WHW', 7.4)] }),
+        esSearchResponse({ hits: [hit('B0BSHF7WHW', 0.93), hit('B014TMV5YE', 0.88)] }),
+      ],
+    });
+
+    const { body } = await request(app)
+      .get('/api/search?query=hardside luggage -softside&mode=hybrid&maxPrice=200&limit=2&debug=true')
+      .expect(200);
+
+    const [{ index, searches }] = elasticsearchClient.msearch.mock.calls.at(-1);
+    const { rankWindowSize, dims } = config.vector;
+
+    expect(index).toBe(config.elasticsearch.index);
+    expect(searches).toHaveLength(4);
+    expect(searches[1]).toMatchObject({ from: 0, size: rankWindowSize });
+    expect(searches[3].knn).toMatchObject({ field: 'embedding', k: rankWindowSize });
+    expect(searches[3].knn.num_candidates).toBeGreaterThanOrEqual(rankWindowSize);
+    expect(searches[3].knn.query_vector).toHaveLength(dims);
+    expect(searches[3].knn.filter.bool.filter).toContainEqual({ range: { price: { lte: 200 } } });
+    expect(searches[3].knn.filter.bool.must_not).toEqual([{ match_phrase: { title: 'softside' } }]);
+
+    // Ranked second lexically and first by kNN beats first lexically only
+    expect(body.results.map(product => product.asin)).toEqual(['B0BSHF7WHW', 'B08N5WRWNW']);
+    expect(body.results[0]._score).toBeCloseTo(1 / 62 + 1 / 61);
+    expect(body.pagination).toMatchObject({ total: 3, pages: 2 });
+    expect(body.debug).toMatchObject({ backend: 'elasticsearch', fallback: false, took: 5 });
+  });
+
+  it('should keep pinned products on top of the fused results', async () => {
+    const { body: rule } = await request(app)
+      .post('/api/admin/rules')
+      .send({ name: 'Pin carry-ons', query: 'samsonite', pin: ['B014TMV5YE', 'B07ZPKN6YR'] })
+      .expect(201);
+
+    try {
+      const { body } = await request(app)
+        .get('/api/search?query=samsonite&mode=hybrid')
+        .expect(200);
+
+      expect(body.results.map(product => product.asin).slice(0, 3)).toEqual(['B014TMV5YE', 'B07ZPKN6YR', 'B08N5WRWNW']);
+      expect(body.appliedRules).toEqual([{ id: rule.id, name: 'Pin carry-ons' }]);
+
+      // Pins still honor the filters
+      const filtered = await request(app)
+        .get('/api/search?query=samsonite&mode=hybrid&category_id=201')
+        .expect(200);
+
+      expect(filtered.body.results.map(product => product.asin)).toEqual(['B07ZPKN6YR']);
+    } finally {
+      await request(app).delete(`/api/admin/rules/${rule.id}`).expect(204);
+    }
+  });
+
+  it('should only page through the ranked window and flag a capped total', async () => {
+    const { rankWindowSize } = config.vector;
+    config.vector.rankWindowSize = 1;
+
+    try {
+      const { body } = await request(app)
+        .get('/api/search?query=luggage&mode=hybrid&limit=1')
+        .expect(200);
+
+      expect(body.results).toHaveLength(1);
+      expect(body.pagination).toMatchObject({ total: 1, pages: 1 });
+      expect(body.totalCapped).toBe(true);
+
+      const beyond = await request(app)
+        .get('/api/search?query=luggage&mode=hybrid&limit=1&page=2')
+        .expect(400);
+      expect(beyond.body.error).toBe('Invalid pagination parameters');
+    } finally {
+      config.vector.rankWindowSize = rankWindowSize;
+    }
+
+    const { body } = await request(app).get('/api/search?query=samsonite&mode=hybrid').expect(200);
+    expect(body.totalCapped).toBeUndefined();
+  });
+
+  it('should reject hybrid searches that cannot be ranked by fusion', async () => {
+    const sorted = await request(app)
+      .get('/api/search?query=luggage&mode=hybrid&sort=price_asc')
+      .expect(400);
+    expect(sorted.body.error).toBe('Invalid mode parameter');
+
+    await request(app).get('/api/search?query=luggage&mode=hybrid&cursor=*').expect(400);
+
+    config.vector.enabled = false;
+    const disabled = new Application().initialize();
+    config.vector.enabled = true;
+
+    const response = await request(disabled)
+      .get('/api/search?query=luggage&mode=hybrid')
+      .expect(400);
+    expect(response.body.message).toMatch(/VECTOR_SEARCH_ENABLED/);
+  });
+
+  it('should index precomputed embeddings as given and compute missing ones', async () => {
+    const { productService } = application;
+    const indexedDocument = () => elasticsearchClient.index.mock.calls
+      .map(([params]) => params)
+      .filter(params => params.index === config.elasticsearch.index)
+      .at(-1).body;
+    const embedding = Array.from({ length: config.vector.dims }, (_, i) => (i === 0 ? 1 : 0));
+    const product = { asin: 'B0TESTDUF1', title: 'Travel Duffel Bag', price: '39.99', listPrice: '0' };
+
+    await expect(productService.indexProduct({ ...product, embedding })).resolves.toBe(true);
+    expect(indexedDocument().embedding).toEqual(embedding);
+
+    await expect(productService.indexProduct(product)).resolves.toBe(true);
+    expect(indexedDocument().embedding).toHaveLength(config.vector.dims);
+    expect(indexedDocument().embedding).not.toEqual(embedding);
+
+    await expect(productService.indexProduct({ ...product, embedding: [1, 0] })).resolves.toBe(false);
+  });
+});
+
+describe('Synonyms Admin API', () => {
+  let app;
+
+  beforeAll(() => {
+    const application = new Application();
+    app = application.initialize();
+  });
+
+  afterEach(() => {
+    config.admin.apiKey = undefined;
+  });
+
+  it('should list synonym rules from the synonyms file', async () => {
+    const response = await request(app)
+      .get('/api/admin/synonyms')
+      .expect(200);
+
+    expect(response.body.synonyms).toContain('luggage, suitcase, baggage');
+  });
+
+  it('should expand fallback searches with synonyms', async () => {
+    const response = await request(app)
+      .get('/api/search?query=suitcase')
+      .expect(200);
+
+    expect(response.body.results.map(p => p.asin).sort()).toEqual(['B014TMV5YE', 'B08N5WRWNW']);
+  });
+
+  it('should replace synonyms, save them and push them to Elasticsearch', async () => {
+    const response = await request(app)
+      .put('/api/admin/synonyms')
+      .send({ synonyms: ['luggage, suitcase, baggage', 'trolley => luggage'] })
+      .expect(200);
+
+    expect(response.body).toEqual({
+      synonyms: ['luggage, suitcase, baggage', 'trolley => luggage'],
+      reloaded: true,
+    });
+    expect(fs.readFileSync(process.env.SYNONYMS_FILE, 'utf8')).toContain('trolley => luggage');
+    expect(elasticsearchClient.synonyms.putSynonym).toHaveBeenLastCalledWith({
+      id: 'product-synonyms',
+      synonyms_set: [
+        { id: 'rule-1', synonyms: 'luggage, suitcase, baggage' },
+        { id: 'rule-2', synonyms: 'trolley => luggage' },
+      ],
+    });
+
+    const search = await request(app)
+      .get('/api/search?query=trolley')
+      .expect(200);
+
+    expect(search.body.pagination.total).toBe(2);
+  });
+
+  it('should apply concurrent synonym updates one at a time', async () => {
+    const updates = [['luggage, suitcase, baggage'], ['luggage, suitcase, baggage', 'valise => luggage']];
+
+    await Promise.all(updates.map(synonyms => request(app).put('/api/admin/synonyms').send({ synonyms }).expect(200)));
+
+    const { body } = await request(app).get('/api/admin/synonyms').expect(200);
+    const saved = fs.readFileSync(process.env.SYNONYMS_FILE, 'utf8').split('\n').filter(line => line && !line.startsWith('#'));
+    const pushed = elasticsearchClient.synonyms.putSynonym.mock.calls.at(-1)[0].synonyms_set.map(rule => rule.synonyms);
+
+    expect(updates).toContainEqual(body.synonyms);
+    expect(saved).toEqual(body.synonyms);
+    expect(pushed).toEqual(body.synonyms);
+    expect(fs.readdirSync(path.dirname(process.env.SYNONYMS_FILE)).filter(file => file.endsWith('.tmp'))).toEqual([]);
+  });
+
+  it('should reject malformed synonym rules', async () => {
+    const response = await request(app)
+      .put('/api/admin/synonyms')
+      .send({ synonyms: ['luggage', 'a => b => c'] })
+      .expect(400);
+
+    expect(response.body.error).toBe('Invalid synonym rules');
+    expect(response.body.invalid.map(i => i.index)).toEqual([0, 1]);
+
+    await request(app).put('/api/admin/synonyms').send({ synonyms: 'luggage, bag' }).expect(400);
+  });
+
+  it('should require the admin key when one is configured', async () => {
+    config.admin.apiKey = 'secret';
+
+    await request(app).get('/api/admin/synonyms').expect(401);
+    await request(app).get('/api/admin/synonyms').set('X-Admin-Key', 'wrong').expect(401);
+    await request(app).get('/api/admin/synonyms').set('X-Admin-Key', 'secret').expect(200);
+  });
+
+  it('should disable admin access without a key outside tests', async () => {
+    const { env } = config.server;
+    config.server.env = 'development';
+
+    try {
+      const response = await request(app).get('/api/admin/synonyms').expect(401);
+      expect(response.body.message).toMatch(/ADMIN_API_KEY/);
+
+      await request(app).get('/api/search?query=luggage&debug=true').expect(401);
+    } finally {
+      config.server.env = env;
+    }
+  });
+});
+
+describe('Merchandising Rules Admin API', () => {
+  let app;
+
+  beforeAll(() => {
+    const application = new Application();
+    app = application.initialize();
+  });
+
+  afterEach(async () => {
+    const { body } = await request(app).get('/api/admin/rules');
+    await Promise.all(body.rules.map(rule => request(app).delete(`/api/admin/rules/${rule.id}`)));
+  });
+
+  const createRule = async (rule) => (await request(app)
+    .post('/api/admin/rules')
+    .send(rule)
+    .expect(201)).body;
+
+  it('should create, list and delete rules in the rules file', async () => {
+    const rule = await createRule({ name: 'Luggage pins', query: 'Luggage', pin: ['B014TMV5YE'] });
+
+    expect(rule).toMatchObject({ name: 'Luggage pins', query: 'Luggage', match: 'exact', pin: ['B014TMV5YE'] });
+    expect(typeof rule.id).toBe('string');
+    expect(JSON.parse(fs.readFileSync(process.env.MERCHANDISING_RULES_FILE, 'utf8'))).toHaveLength(1);
+
+    const list = await request(app).get('/api/admin/rules').expect(200);
+    expect(list.body.rules.map(r => r.id)).toEqual([rule.id]);
+
+    await request(app).delete(`/api/admin/rules/${rule.id}`).expect(204);
+    await request(app).delete(`/api/admin/rules/${rule.id}`).expect(404);
+  });
+
+  it('should reject rules without actions or with invalid fields', async () => {
+    await request(app).post('/api/admin/rules').send({ name: 'Empty', query: 'luggage' }).expect(400);
+    await request(app).post('/api/admin/rules').send({ name: 'Bad', query: 'luggage', pin: ['nope'] }).expect(400);
+    await request(app)
+      .post('/api/admin/rules')
+      .send({ name: 'Bad', query: 'luggage', match: 'regex', bury: ['B014TMV5YE'] })
+      .expect(400);
+  });
+
+  it('should pin, bury and report rules in fallback searches', async () => {
+    const pins = await createRule({ name: 'Pin earbuds', query: 'luggage', pin: ['B07ZPKN6YR'] });
+    const bury = await createRule({ name: 'Bury Samsonite', query: 'lug*', match: 'pattern', bury: ['B08N5WRWNW'] });
+
+    const response = await request(app)
+      .get('/api/search?query=luggage')
+      .expect(200);
+
+    // Pinned despite not matching the text; the buried best seller drops below the Sion suitcase
+    expect(response.body.results.map(p => p.asin)).toEqual(['B07ZPKN6YR', 'B014TMV5YE', 'B08N5WRWNW']);
+    expect(response.body.appliedRules).toEqual([
+      { id: pins.id, name: 'Pin earbuds' },
+      { id: bury.id, name: 'Bury Samsonite' },
+    ]);
+
+    const unrelated = await request(app).get('/api/search?query=earbuds').expect(200);
+    expect(unrelated.body.appliedRules).toEqual([]);
+  });
+
+  it('should only apply rules inside their date window', async () => {
+    await createRule({
+      name: 'Expired campaign',
+      query: 'luggage',
+      pin: ['B07ZPKN6YR'],
+      startDate: '2020-01-01T00:00:00Z',
+      endDate: '2020-02-01T00:00:00Z',
+    });
+
+    const response = await request(app).get('/api/search?query=luggage').expect(200);
+
+    expect(response.body.appliedRules).toEqual([]);
+    expect(response.body.results.map(p => p.asin)).not.toContain('B07ZPKN6YR');
+  });
+
+  it('should match patterns with punctuation like the search text', async () => {
+    const rule = await createRule({ name: 'Carry-ons', query: 'carry-on*', match: 'pattern', pin: ['B08N5WRWNW'] });
+
+    const response = await request(app).get('/api/search?query=Carry-On Luggage').expect(200);
+    expect(response.body.appliedRules).toEqual([{ id: rule.id, name: 'Carry-ons' }]);
+  });
+
+  it('should not pin products excluded by the query or missing its phrases', async () => {
+    await createRule({ name: 'Pin earbuds', query: 'luggage', pin: ['B07ZPKN6YR'] });
+
+    const excluded = await request(app).get('/api/search?query=luggage -airpods').expect(200);
+    expect(excluded.body.results.map(p => p.asin)).not.toContain('B07ZPKN6YR');
+
+    const phrase = await request(app).get('/api/search?query=luggage "spinner wheels"').expect(200);
+    expect(phrase.body.results.map(p => p.asin)).toEqual(['B08N5WRWNW']);
+
+    elasticsearchClient.search.mockResolvedValueOnce(esSearchResponse({ total: 0 }));
+    await request(app).get('/api/search?query=luggage "spinner wheels" -airpods').expect(200);
+
+    const { bool } = lastSearchRequest().body.query;
+    expect(bool.must[0].pinned.ids).toEqual(['B07ZPKN6YR']);
+    expect(bool.must_not).toEqual([{ match_phrase: { title: 'airpods' } }]);
+    expect(bool.filter).toEqual([{ match_phrase: { title: 'spinner wheels' } }]);
+  });
+
+  it('should only pin products under the relevance sort', async () => {
+    await createRule({ name: 'Pin earbuds', query: 'luggage', pin: ['B07ZPKN6YR'] });
+
+    const sorted = await request(app).get('/api/search?query=luggage&sort=price_asc').expect(200);
+    expect(sorted.body.results.map(p => p.asin)).toEqual(['B08N5WRWNW', 'B014TMV5YE']);
+    expect(sorted.body.pagination.total).toBe(2);
+
+    elasticsearchClient.search.mockResolvedValueOnce(esSearchResponse({ total: 0 }));
+    await request(app).get('/api/search?query=luggage&sort=price_asc').expect(200);
+    expect(JSON.stringify(lastSearchRequest().body.query)).not.toContain('pinned');
+  });
+
+  it('should send pinned, boosted and buried queries to Elasticsearch', async () => {
+    await createRule({
+      name: 'Samsonite campaign',
+      query: 'carry on',
+      match: 'contains',
+      pin: ['B08N5WRWNW'],
+      bury: ['B014TMV5YE'],
+      boost: [{ title: 'Samsonite', factor: 3 }],
+    });
+    elasticsearchClient.search.mockResolvedValueOnce(esSearchResponse({ total: 5 }));
+
+    const response = await request(app)
+      .get('/api/search?query=carry%20on%20luggage&onSale=true')
+      .expect(200);
+
+    const { bool } = lastSearchRequest().body.query;
+    const { pinned } = bool.must[0];
+    expect(pinned.ids).toEqual(['B08N5WRWNW']);
+    expect(bool.filter).toEqual([{ term: { onSale: true } }]);
+    expect(pinned.organic.boosting.negative).toEqual({ ids: { values: ['B014TMV5YE'] } });
+    expect(pinned.organic.boosting.positive.function_score.functions).toEqual([
+      { filter: { match_phrase: { title: 'Samsonite' } }, weight: 3 },
+    ]);
+    expect(response.body.appliedRules).toHaveLength(1);
+  });
+});
+
+describe('Query Redirects Admin API', () => {
+  let app;
+
+  beforeAll(() => {
+    const application = new Application();
+    app = application.initialize();
+  });
+
+  afterEach(async () => {
+    const { body } = await request(app).get('/api/admin/redirects');
+    await Promise.all(body.redirects.map(rule => request(app).delete(`/api/admin/redirects/${rule.id}`)));
+  });
+
+  it('should answer matching searches with a redirect instead of results', async () => {
+    const rule = (await request(app)
+      .post('/api/admin/redirects')
+      .send({ name: 'Returns policy', query: 'returns policy', redirect: '/help/returns' })
+      .expect(201)).body;
+
+    const response = await request(app)
+      .get('/api/search?query=Returns%20Policy')
+      .expect(200);
+
+    expect(response.body).toEqual({
+      query: 'Returns Policy',
+      redirect: { url: '/help/returns', ruleId: rule.id },
+    });
+  });
+
+  it('should run rewritten queries and filters', async () => {
+    const rule = (await request(app)
+      .post('/api/admin/redirects')
+      .send({ query: 'airpods', rewrite: { query: '', filters: { category_id: 201 } } })
+      .expect(201)).body;
+
+    const response = await request(app)
+      .get('/api/search?query=airpods&category_id=104')
+      .expect(200);
+
+    expect(response.body.query).toBe('airpods');
+    expect(response.body.rewrite).toEqual({ query: '', filters: { category_id: 201 }, ruleId: rule.id });
+    expect(response.body.filters.category_id).toBe(201);
+    expect(response.body.results.map(p => p.asin)).toEqual(['B07ZPKN6YR']);
+  });
+
+  it('should update and delete rules and validate them', async () => {
+    const rule = (await request(app)
+      .post('/api/admin/redirects')
+      .send({ query: 'returns', redirect: '/help/returns' })
+      .expect(201)).body;
+
+    const updated = await request(app)
+      .put(`/api/admin/redirects/${rule.id}`)
+      .send({ query: 'returns', match: 'contains', redirect: 'https://example.com/returns' })
+      .expect(200);
+    expect(updated.body).toMatchObject({ id: rule.id, match: 'contains', redirect: 'https://example.com/returns' });
+
+    await request(app).put('/api/admin/redirects/missing').send({ query: 'x', redirect: '/x' }).expect(404);
+    await request(app)
+      .post('/api/admin/redirects')
+      .send({ query: 'both', redirect: '/x', rewrite: { query: 'y' } })
+      .expect(400);
+    await request(app)
+      .post('/api/admin/redirects')
+      .send({ query: 'bad filter', rewrite: { filters: { color: 'red' } } })
+      .expect(400);
+
+    await request(app).delete(`/api/admin/redirects/${rule.id}`).expect(204);
+    await request(app).delete(`/api/admin/redirects/${rule.id}`).expect(404);
+  });
+});
+
+describe('Search Analytics Admin API', () => {
+  let app;
+
+  beforeAll(() => {
+    // Searches are logged to the local analytics file while ES is unavailable
+    elasticsearchClient.index.mockRejectedValue(new Error('ES not available in tests'));
+
+    const application = new Application();
+    app = application.initialize();
+  });
+
+  afterAll(() => {
+    elasticsearchClient.index.mockResolvedValue({ result: 'created' });
+  });
+
+  it('should log searches and report top and zero-result queries', async () => {
+    await request(app).get('/api/search?query=Luggage&minStars=4').expect(200);
+    await request(app).get('/api/search?query=%20luggage%20').expect(200);
+    await request(app).get('/api/search?query=zzzzzz').expect(200);
+
+    const event = fs.readFileSync(config.analytics.file, 'utf8').trim().split('\n').map(line => JSON.parse(line))[0];
+    expect(event).toMatchObject({
+      query: 'luggage',
+      filters: { minStars: '4' },
+      resultCount: 2,
+      backend: 'memory',
+      fallback: true,
+    });
+    expect(event.latencyMs).toEqual(expect.any(Number));
+
+    const top = await request(app)
+      .get('/api/admin/analytics/top-queries?window=1h')
+      .expect(200);
+
+    expect(top.body).toMatchObject({ window: '1h', backend: 'file' });
+    expect(top.body.queries.map(({ query, count }) => ({ query, count }))).toEqual([
+      { query: 'luggage', count: 2 },
+      { query: 'zzzzzz', count: 1 },
+    ]);
+
+    const zeroResults = await request(app)
+      .get('/api/admin/analytics/zero-results')
+      .expect(200);
+
+    expect(zeroResults.body.window).toBe('24h');
+    expect(zeroResults.body.queries.map(row => row.query)).toEqual(['zzzzzz']);
+  });
+
+  it('should report slow queries above the configured threshold', async () => {
+    const { slowQueryMs } = config.analytics;
+    config.analytics.slowQueryMs = 0;
+
+    try {
+      const response = await request(app)
+        .get('/api/admin/analytics/slow-queries?limit=1')
+        .expect(200);
+
+      expect(response.body.thresholdMs).toBe(0);
+      expect(response.body.queries).toHaveLength(1);
+      expect(response.body.queries[0]).toEqual(expect.objectContaining({
+        count: expect.any(Number),
+        avgLatencyMs: expect.any(Number),
+        maxLatencyMs: expect.any(Number),
+      }));
+    } finally {
+      config.analytics.slowQueryMs = slowQueryMs;
+    }
+  });
+
+  it('should aggregate reports in the analytics index when Elasticsearch is available', async () => {
+    elasticsearchClient.search.mockResolvedValueOnce({
+      aggregations: {
+        queries: {
+          buckets: [{
+            key: 'wireless charger',
+            doc_count: 14,
+            avg_latency: { value: 30.6 },
+            max_latency: { value: 85 },
+            last_searched: { value_as_string: '2025-01-15T11:42:07.000Z' },
+          }],
+        },
+      },
+    });
+
+    const response = await request(app)
+      .get('/api/admin/analytics/zero-results?window=7d&limit=5')
+      .expect(200);
+
+    const [params] = elasticsearchClient.search.mock.calls.at(-1);
+    expect(params.index).toBe(config.analytics.index);
+    expect(params.body.query.bool.filter).toContainEqual({ term: { resultCount: 0 } });
+    expect(params.body.aggs.queries.terms).toMatchObject({ field: 'query', size: 5 });
+
+    expect(response.body.backend).toBe('elasticsearch');
+    expect(response.body.queries).toEqual([{
+      query: 'wireless charger',
+      count: 14,
+      maxLatencyMs: 85,
+      lastSearchedAt: '2025-01-15T11:42:07.000Z',
+      avgLatencyMs: 31,
+    }]);
+  });
+
+  it('should tie events to searches and report click-through rate and mean reciprocal rank', async () => {
+    const search = async query => (await request(app).get(`/api/search?query=${query}`).expect(200)).body;
+    const [first, second, airpods] = [await search('samsonite'), await search('samsonite'), await search('airpods')];
+
+    expect(first.searchId).toMatch(/^[0-9a-f-]{36}$/);
+    expect(second.searchId).not.toBe(first.searchId);
+
+    const click = await request(app)
+      .post('/api/events')
+      .send({ type: 'click', searchId: first.searchId, asin: 'B08N5WRWNW', position: 2 })
+      .expect(202);
+
+    expect(click.body).toMatchObject({ type: 'click', searchId: first.searchId, position: 2 });
+    expect(click.body).toHaveProperty('timestamp');
+
+    await request(app)
+      .post('/api/events')
+      .send({ type: 'add_to_cart', searchId: first.searchId, asin: 'B08N5WRWNW', position: 2 })
+      .expect(202);
+    await request(app)
+      .post('/api/events')
+      .send({ type: 'click', searchId: airpods.searchId, asin: 'B07ZPKN6YR', position: 1 })
+      .expect(202);
+
+    const response = await request(app)
+      .get('/api/admin/analytics/engagement')
+      .expect(200);
+
+    const rows = Object.fromEntries(response.body.queries.map(row => [row.query, row]));
+    expect(rows.samsonite).toEqual({
+      query: 'samsonite',
+      searches: 2,
+      clicks: 1,
+      addToCarts: 1,
+      purchases: 0,
+      clickThroughRate: 0.5,
+      meanReciprocalRank: 0.25,
+    });
+    expect(rows.airpods).toMatchObject({ searches: 1, clickThroughRate: 1, meanReciprocalRank: 1 });
+  });
+
+  it('should reject invalid events', async () => {
+    const searchId = '5b0d7a4e-2c1f-4f5e-9a43-8f1d2b6c7e90';
+
+    for (const event of [
+      { type: 'view', searchId, asin: 'B08N5WRWNW', position: 1 },
+      { type: 'click', asin: 'B08N5WRWNW', position: 1 },
+      { type: 'click', searchId: 'not-a-search', asin: 'B08N5WRWNW', position: 1 },
+      { type: 'click', searchId, asin: 'B08N5WRWNW', position: 0 },
+    ]) {
+      const response = await request(app)
+        .post('/api/events')
+        .send(event)
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'Invalid request body');
+    }
+  });
+
+  it('should reject invalid windows and limits', async () => {
+    const window = await request(app)
+      .get('/api/admin/analytics/top-queries?window=yesterday')
+      .expect(400);
+
+    expect(window.body).toHaveProperty('error', 'Invalid window parameter');
+
+    const limit = await request(app)
+      .get('/api/admin/analytics/top-queries?limit=500')
+      .expect(400);
+
+    expect(limit.body).toHaveProperty('error', 'Invalid limit parameter');
+  });
+});
+
+describe('Suggest API', () => {
+  let app;
+
+  beforeAll(() => {
+    const application = new Application();
+    app = application.initialize();
+  });
+
+  describe('GET /api/suggest', () => {
+    it('should return 400 when prefix is missing', async () => {
+      const response = await request(app)
+        .get('/api/suggest')
+        .expect(400);
+
+      expect(response.body.error).toBe('Prefix parameter is required');
+    });
+
+    it('should suggest products and categories from the prefix trie', async () => {
+      const response = await request(app)
+        .get('/api/suggest?prefix=lugg')
+        .expect(200);
+
+      expect(response.body.prefix).toBe('lugg');
+      expect(response.body.products.map(p => p.asin)).toEqual(['B08N5WRWNW', 'B014TMV5YE']);
+      expect(response.body.categories).toEqual([{ id: 104, name: 'Luggage & Travel Gear' }]);
+    });
+
+    it('should require every prefix word to match', async () => {
+      const response = await request(app)
+        .get('/api/suggest?prefix=samsonite%20lug')
+        .expect(200);
+
+      expect(response.body.products).toEqual([
+        { asin: 'B08N5WRWNW', title: 'Samsonite Omni PC Hardside Expandable Luggage with Spinner Wheels' },
+      ]);
+      expect(response.body.categories).toEqual([]);
+
+      const categories = await request(app)
+        .get('/api/suggest?prefix=luggage%20tr')
+        .expect(200);
+
+      expect(categories.body.categories).toEqual([{ id: 104, name: 'Luggage & Travel Gear' }]);
+    });
+
+    it('should query the autocomplete field within the latency budget', async () => {
+      elasticsearchClient.search.mockResolvedValueOnce(esSearchResponse({
+        hits: [{ _id: 'B07ZPKN6YR', _score: 2, _source: { asin: 'B07ZPKN6YR', title: 'Apple AirPods Pro' } }],
+      }));
+
+      const response = await request(app)
+        .get('/api/suggest?prefix=airp&limit=3')
+        .expect(200);
+
+      const [params, requestOptions] = elasticsearchClient.search.mock.calls.at(-1);
+      expect(params.body.query.match['title.autocomplete']).toEqual({ query: 'airp', operator: 'and' });
+      expect(params.body.size).toBe(3);
+      expect(requestOptions.maxRetries).toBe(0);
+      expect(response.body.products).toEqual([{ asin: 'B07ZPKN6YR', title: 'Apple AirPods Pro' }]);
+    });
+  });
+});
+
+describe('Products API', () => {
+  let app;
+
+  beforeAll(() => {
+    const application = new Application();
+    app = application.initialize();
+  });
+
+  describe('GET /api/products/:id', () => {
+    it('should return product details for valid ASIN', async () => {
+      const response = await request(app)
+        .get('/api/products/B014TMV5YE')
+        .expect(200);
+
+      expect(response.body).toHaveProperty('asin', 'B014TMV5YE');
+      expect(response.body).toHaveProperty('title');
+      expect(response.body).toHaveProperty('price');
+      expect(response.body).toHaveProperty('category_id');
+      expect(response.body).toHaveProperty('stars');
+      expect(response.body).toHaveProperty('reviews');
+      expect(response.body).toHaveProperty('isBestSeller');
+      expect(response.body).toHaveProperty('boughtInLastMonth');
+    });
+
+    it('should return 404 for invalid product ASIN', async () => {
+      const response = await request(app)
+        .get('/api/products/INVALID_ASIN')
+        .expect(404);
+
+      expect(response.body).toHaveProperty('error', 'Product not found');
+    });
+
+    it('should return only the requested fields', async () => {
+      const response = await request(app)
+        .get('/api/products/B014TMV5YE?fields=title,price')
+        .expect(200);
+
+      expect(response.body).toEqual({
+        asin: 'B014TMV5YE',
+        title: 'Sion Softside Expandable Roller Luggage, Black, Checked-Large 29-Inch',
+        price: 139.99,
+      });
+    });
+  });
+
+  describe('GET /api/products/:id/similar', () => {
+    it('should rank products by title overlap within the price band', async () => {
+      const response = await request(app)
+        .get('/api/products/B014TMV5YE/similar')
+        .expect(200);
+
+      expect(response.body).toHaveProperty('asin', 'B014TMV5YE');
+      expect(response.body.results.map(product => product.asin)).toEqual(['B08N5WRWNW']);
+      expect(response.body.results[0]._score).toBeGreaterThan(0);
+    });
+
+    it('should query Elasticsearch with more_like_this excluding the source product', async () => {
+      elasticsearchClient.search.mockResolvedValueOnce(esSearchResponse({
+        hits: [{ _id: 'B08N5WRWNW', _score: 4.2, _source: { asin: 'B08N5WRWNW', title: 'Samsonite Omni' } }],
+      }));
+
+      const response = await request(app)
+        .get('/api/products/B014TMV5YE/similar?limit=3')
+        .expect(200);
+
+      const { body } = lastSearchRequest();
+      expect(body.size).toBe(3);
+      expect(body.query.bool.must[0].more_like_this).toMatchObject({ fields: ['title'] });
+      expect(body.query.bool.must_not).toEqual([{ term: { asin: 'B014TMV5YE' } }]);
+      expect(body.query.bool.filter[0].range.price).toEqual({ gte: 69.995, lte: 209.985 });
+      expect(response.body.results[0]).toMatchObject({ asin: 'B08N5WRWNW', _score: 4.2 });
+    });
+
+    it('should return 404 for an unknown product', async () => {
+      const response = await request(app)
+        .get('/api/products/INVALID_ASIN/similar')
+        .expect(404);
+
+      expect(response.body).toHaveProperty('error', 'Product not found');
+    });
+
+    it('should reject an invalid limit', async () => {
+      const response = await request(app)
+        .get('/api/products/B014TMV5YE/similar?limit=0')
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'Invalid limit parameter');
+    });
+  });
+});
+
+describe('Categories API', () => {
+  let app;
+
+  beforeAll(() => {
+    const application = new Application();
+    app = application.initialize();
+  });
+
+  describe('GET /api/categories', () => {
+    it('should return list of categories', async () => {
+      const response = await request(app)
+        .get('/api/categories')
+        .expect(200);
+      
+      expect(response.body).toHaveProperty('categories');
+      expect(Array.isArray(response.body.categories)).toBe(true);
+      expect(response.body.categories.length).toBeGreaterThan(0);
+      
+      const category = response.body.categories[0];
+      expect(category).toHaveProperty('id');
+      expect(category).toHaveProperty('name');
+      expect(category).toHaveProperty('count');
+    });
+  });
+
+  describe('GET /api/categories/:id/products', () => {
+    it('should list the products of a category with sparse fields', async () => {
+      const response = await request(app)
+        .get('/api/categories/104/products?fields=asin,title,price&sort=price_asc')
+        .expect(200);
+
+      expect(response.body).toMatchObject({ category_id: 104, sort: 'price_asc' });
+      expect(response.body.pagination).toEqual({ page: 1, limit: 10, total: 2, pages: 1 });
+      expect(response.body.results.map(p => p.asin)).toEqual(['B08N5WRWNW', 'B014TMV5YE']);
+      response.body.results.forEach(product => {
+        expect(Object.keys(product).sort()).toEqual(['asin', 'price', 'title']);
+      });
+    });
+
+    it('should return 404 for unknown categories and 400 for invalid parameters', async () => {
+      await request(app).get('/api/categories/999/products').expect(404);
+      await request(app).get('/api/categories/luggage/products').expect(404);
+
+      const response = await request(app)
+        .get('/api/categories/104/products?fields=title,secret')
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'Invalid fields parameter');
     });
   });
 });